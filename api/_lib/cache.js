@@ -0,0 +1,47 @@
+import { createHash } from "node:crypto";
+
+/* ─── RESPONSE CACHE ─── */
+
+// Finished responses for cacheable operations, keyed by the hash of the
+// request (the lease itself) and of the prompt that produced them, so editing
+// the analysis prompt, the model or the token cap retires every old entry. Like the
+// rate limiter, entries live in the function instance: a warm instance answers
+// a repeat upload instantly, a cold one calls the model again.
+const MAX_ENTRIES = 200;
+const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const entries = new Map(); // oldest first
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+// Only the first user turn is hashed: a corrective pass shares its cache entry
+// with the request it repairs. `variant` separates responses that differ for
+// the same request, such as mock scenarios.
+export function cacheKey(op, payload, variant = "") {
+  const version = sha256(`${op.model}\n${op.max_tokens}\n${payload.system}`);
+  return sha256(`${version}\n${variant}\n${JSON.stringify(payload.messages[0])}`);
+}
+
+// Returns { text, stop_reason, usage } or null.
+export function getCached(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  entries.delete(key);
+  if (Date.now() > entry.expiresAt) return null;
+  entries.set(key, entry); // most recently used goes last
+  return entry.value;
+}
+
+// Stores a response only if it is complete JSON; a truncated or malformed one
+// would just be replayed into the client's repair pass.
+export function setCached(key, { text, stop_reason, usage }) {
+  if (stop_reason !== "end_turn") return;
+  try {
+    JSON.parse(text);
+  } catch {
+    return;
+  }
+  entries.delete(key);
+  entries.set(key, { value: { text, stop_reason, usage }, expiresAt: Date.now() + TTL_MS });
+  if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
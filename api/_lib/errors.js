@@ -0,0 +1,60 @@
+/* ─── API ERRORS ─── */
+
+// Every failure leaves the API as { error: { type, message } } so the UI can
+// show `message` directly and branch on `type`.
+export class ApiError extends Error {
+  constructor(status, type, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.type = type;
+  }
+}
+
+export function errorBody(err) {
+  if (err instanceof ApiError) return { error: { type: err.type, message: err.message } };
+  console.error(err);
+  return { error: { type: "internal_error", message: "Something went wrong on our side. Please try again." } };
+}
+
+export function sendError(res, err) {
+  return res.status(err instanceof ApiError ? err.status : 500).json(errorBody(err));
+}
+
+// Anthropic's wording when a document exceeds the context window.
+const TOO_LARGE = /too long|too many tokens|context (window|length)|maximum .*tokens/i;
+
+// Maps an Anthropic error response onto our own error categories. Upstream
+// messages are only passed through for 400s, where they describe the user's
+// document.
+export function upstreamError(status, body) {
+  const type = body?.error?.type;
+  const detail = body?.error?.message;
+  if (status === 529 || type === "overloaded_error") {
+    return new ApiError(503, "overloaded", "The analysis service is overloaded right now. Please try again in a minute.");
+  }
+  if (status === 429) {
+    return new ApiError(429, "rate_limited", "The analysis service is busy. Please wait a minute and try again.");
+  }
+  if (status === 413 || (status === 400 && TOO_LARGE.test(detail || ""))) {
+    return new ApiError(413, "payload_too_large", "This lease is too long to analyze in one pass.");
+  }
+  if (status === 400 && /pdf|document|file|image|password/i.test(detail || "")) {
+    return new ApiError(422, "invalid_file", detail);
+  }
+  if (status === 400) {
+    return new ApiError(400, "invalid_request", detail || "The document could not be processed.");
+  }
+  if (status === 401 || status === 403) {
+    return new ApiError(500, "server_misconfigured", "The analysis service is not configured correctly.");
+  }
+  return new ApiError(502, "upstream_error", "The analysis service returned an error. Please try again.");
+}
+
+export function timeoutError() {
+  return new ApiError(504, "timeout", "The analysis took too long and was stopped. Please try again.");
+}
+
+export function networkError() {
+  return new ApiError(502, "upstream_unreachable", "The analysis service could not be reached. Please try again.");
+}
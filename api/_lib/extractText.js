@@ -0,0 +1,42 @@
+import WordExtractor from "word-extractor";
+import { ApiError } from "./errors.js";
+import { docxToText } from "../../src/lib/docxText.js";
+import { cleanText, decodeText, detectFormat } from "../../src/lib/leaseText.js";
+import { pdfToText } from "../../src/lib/pdfText.js";
+
+/* ─── LEASE TEXT EXTRACTION ─── */
+
+// Returns { format, text } for PDF, DOCX, DOC and plain-text leases.
+export async function extractText(buffer, filename) {
+  const format = detectFormat(buffer, filename);
+  let text;
+
+  try {
+    if (format === "pdf") {
+      text = await pdfToText(buffer);
+    } else if (format === "docx") {
+      text = docxToText(buffer);
+    } else if (format === "doc") {
+      // The binary .doc format has no reliable heading or list structure, so
+      // only the body text (including typed section numbers) is recovered.
+      const doc = await new WordExtractor().extract(buffer);
+      text = doc.getBody();
+    } else if (format === "txt") {
+      text = decodeText(buffer);
+    }
+  } catch (err) {
+    console.error(err);
+    throw new ApiError(422, "invalid_file", "This file could not be read. It may be damaged or password protected.");
+  }
+
+  if (text === undefined) {
+    throw new ApiError(415, "unsupported_document", "Please upload a PDF, DOC, DOCX or TXT file.");
+  }
+
+  text = cleanText(text);
+  // A PDF without a text layer (a scan) can still be analyzed as a document.
+  if (!text && format !== "pdf") {
+    throw new ApiError(422, "invalid_file", "No text was found in this file.");
+  }
+  return { format, text };
+}
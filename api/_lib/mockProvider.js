@@ -0,0 +1,224 @@
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { OPERATOR_AREAS } from "../../src/lib/criticalAreas.js";
+import { normalizeProfile, profileAreas } from "../../src/lib/tenantProfile.js";
+import { sleep } from "./retry.js";
+
+/* ─── MOCK PROVIDER ─── */
+
+// With CLAUDE_PROVIDER=mock the proxy never calls Anthropic. Requests are
+// answered from api/_fixtures/ with responses shaped like the Messages API's,
+// so streaming, error mapping and the client's repair pass run unchanged.
+//
+// A scenario is a comma-separated list taken from the X-Mock-Scenario header,
+// or from MOCK_SCENARIO when the header is absent. It may name a fixture
+// ("favorable" serves analyze/favorable.json and email/favorable.txt) and add
+// any of:
+//   slow          stream at a tenth of the normal speed (~30s for a report)
+//   truncated     cut the response off with stop_reason "max_tokens"; the
+//                 repair request that follows gets the full fixture
+//   429 / 529     fail with a rate limit / overloaded error
+// Without a fixture name an analysis is looked up by the lease's hash
+// (analyze/<hash>.json, logged on every request) and falls back to
+// analyze/default.json, which matches _fixtures/sample-lease.txt.
+const FIXTURES = new URL("../_fixtures/", import.meta.url);
+
+const FAILURES = {
+  429: { type: "rate_limit_error", message: "Number of request tokens has exceeded your per-minute rate limit." },
+  529: { type: "overloaded_error", message: "Overloaded" },
+};
+
+const CHUNK_SIZE = 24;
+const CHUNK_DELAY = 15;
+const SLOW_FACTOR = 10;
+
+export const mockEnabled = () => process.env.CLAUDE_PROVIDER === "mock";
+
+export const mockScenario = (req) => String(req.headers["x-mock-scenario"] ?? process.env.MOCK_SCENARIO ?? "");
+
+function parseScenario(raw) {
+  const scenario = { fixture: null, slow: false, truncated: false, failure: null };
+  for (const token of raw.toLowerCase().split(",").map((t) => t.trim()).filter(Boolean)) {
+    if (token === "slow") scenario.slow = true;
+    else if (token === "truncated") scenario.truncated = true;
+    else if (FAILURES[token]) scenario.failure = Number(token);
+    else if (/^[\w-]+$/.test(token)) scenario.fixture = token;
+  }
+  return scenario;
+}
+
+async function readFixture(path) {
+  try {
+    return await readFile(new URL(path, FIXTURES), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function documentHash(doc) {
+  return createHash("sha256").update(doc?.text || doc?.data || "").digest("hex").slice(0, 16);
+}
+
+async function analysisText(body, scenario) {
+  const hash = documentHash(body.document);
+  for (const name of [scenario.fixture, hash, "default"].filter(Boolean)) {
+    const text = await readFixture(`analyze/${name}.json`);
+    if (text) {
+      console.info(`[mock] analyze ${hash} -> analyze/${name}.json`);
+      return fitFixture(text, body);
+    }
+  }
+  throw new Error("api/_fixtures/analyze/default.json is missing.");
+}
+
+// Fixtures are tenant reviews of the standard critical areas. A tenant
+// profile's extra areas are added as "unclear"; an operator audit rates the
+// fixture's coverage as the tenant's view, and its red flags alternate between
+// the two issues, so the report still validates.
+function fitFixture(text, body) {
+  const operator = body.mode === "operator";
+  const profile = normalizeProfile(body.profile);
+  if (!operator && !profile) return text;
+  const analysis = JSON.parse(text);
+  if (operator) {
+    analysis.tenant_coverage = analysis.coverage;
+    analysis.coverage = Object.fromEntries(OPERATOR_AREAS.map((a, i) => [a.id, i % 3 === 0 ? "missing" : "favorable"]));
+    analysis.red_flags.forEach((f, i) => { f.issue = i % 2 === 0 ? "unenforceable" : "deters_tenants"; });
+  } else {
+    for (const { id } of profileAreas(profile)) analysis.coverage[id] ??= "unclear";
+  }
+  return JSON.stringify(analysis, null, 2);
+}
+
+// Revision verdicts depend on the ids the client sends, so they are built
+// rather than read from a file: the original issues cycle through every status.
+function revisionText(body) {
+  const statuses = ["resolved", "partial", "unchanged", "worsened"];
+  const items = (body.items || []).map((item, i) => ({
+    id: item.id,
+    status: statuses[i % statuses.length],
+    note: `Mock verdict for "${item.title}".`,
+    section: item.section ?? null,
+  }));
+  const added = (body.changes || []).find((c) => c.change === "added");
+  return JSON.stringify({
+    summary: "The revision resolves some issues but leaves others open.",
+    items,
+    new_issues: added
+      ? [{ title: "New clause added", severity: "medium", detail: `Review the added clause "${added.section}".`, section: null }]
+      : [],
+  }, null, 2);
+}
+
+// Answers cite the first flag of the report the client sent along, whose
+// quote (for the sample lease) is found in the document.
+function answerText(body) {
+  const flag = [...(body.report?.red_flags || []), ...(body.report?.attention || [])][0];
+  return JSON.stringify({
+    answer: `Mock answer to "${String(body.question).slice(0, 80)}".${flag ? ` See "${flag.title}".` : ""}`,
+    citations: flag ? [{ section: flag.section ?? null, quote: flag.quote ?? null }] : [],
+    not_in_lease: !flag,
+  }, null, 2);
+}
+
+function riderText(body) {
+  return JSON.stringify({
+    paragraphs: (body.items || []).map((item, i) => ({
+      item: i + 1,
+      heading: item.title,
+      section: item.section ?? null,
+      text: item.section
+        ? `Section ${item.section} of the Lease is deleted and replaced with the following: mock clause language addressing "${item.title}".`
+        : `The following is added to the Lease as a new provision: mock clause language addressing "${item.title}".`,
+    })),
+  }, null, 2);
+}
+
+async function emailText(scenario) {
+  return (scenario.fixture && (await readFixture(`email/${scenario.fixture}.txt`)))
+    || (await readFixture("email/default.txt"));
+}
+
+function responseText(body, scenario) {
+  switch (body.operation) {
+    case "analyze":
+    case "merge": return analysisText(body, scenario);
+    case "revision": return revisionText(body);
+    case "ask": return answerText(body);
+    case "rider": return riderText(body);
+    case "email": return emailText(scenario);
+    default: throw new Error(`The mock provider has no fixture for "${body.operation}".`);
+  }
+}
+
+function errorResponse(status) {
+  return new Response(JSON.stringify({ type: "error", error: FAILURES[status] }), {
+    status,
+    headers: { "Content-Type": "application/json", ...(status === 429 && { "Retry-After": "30" }) },
+  });
+}
+
+function sseResponse(text, { model, stopReason, usage, delay, signal }) {
+  const encoder = new TextEncoder();
+  const event = (name, data) => encoder.encode(`event: ${name}\ndata: ${JSON.stringify({ type: name, ...data })}\n\n`);
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      try {
+        controller.enqueue(event("message_start", {
+          message: { id: "msg_mock", type: "message", role: "assistant", model, content: [], usage: { ...usage, output_tokens: 1 } },
+        }));
+        controller.enqueue(event("content_block_start", { index: 0, content_block: { type: "text", text: "" } }));
+        for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+          await sleep(delay, signal);
+          controller.enqueue(event("content_block_delta", { index: 0, delta: { type: "text_delta", text: text.slice(i, i + CHUNK_SIZE) } }));
+        }
+        controller.enqueue(event("content_block_stop", { index: 0 }));
+        controller.enqueue(event("message_delta", { delta: { stop_reason: stopReason }, usage: { output_tokens: usage.output_tokens } }));
+        controller.enqueue(event("message_stop", {}));
+        controller.close();
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+  });
+  return new Response(stream, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Returns a drop-in replacement for callAnthropic(payload, signal) that answers
+// `body` (the client's request) according to the request's scenario.
+export function mockCaller(req) {
+  const scenario = parseScenario(mockScenario(req));
+  const body = req.body;
+
+  return async (payload, signal) => {
+    const delay = CHUNK_DELAY * (scenario.slow ? SLOW_FACTOR : 1);
+    await sleep(delay * 20, signal);
+    if (scenario.failure) return errorResponse(scenario.failure);
+
+    let text = (await responseText(body, scenario)).trim();
+    let stopReason = "end_turn";
+    if (scenario.truncated && !body.repair) {
+      text = text.slice(0, Math.floor(text.length * 0.6));
+      stopReason = "max_tokens";
+    }
+    const usage = {
+      input_tokens: Math.ceil(JSON.stringify(payload.messages).length / 4),
+      output_tokens: Math.ceil(text.length / 4),
+    };
+
+    if (payload.stream) return sseResponse(text, { model: payload.model, stopReason, usage, delay, signal });
+
+    await sleep(delay * Math.ceil(text.length / CHUNK_SIZE), signal);
+    return new Response(JSON.stringify({
+      id: "msg_mock",
+      type: "message",
+      role: "assistant",
+      model: payload.model,
+      content: [{ type: "text", text }],
+      stop_reason: stopReason,
+      usage,
+    }), { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+}
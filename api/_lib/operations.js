@@ -0,0 +1,349 @@
+import { ApiError } from "./errors.js";
+import { REVIEW_MODES } from "../../src/lib/operatorMode.js";
+import { normalizeProfile } from "../../src/lib/tenantProfile.js";
+import {
+  EMAIL_PROMPT, OPERATOR_MERGE_PROMPT, OPERATOR_PROMPT, QA_PROMPT, REVISION_PROMPT, RIDER_PROMPT, analysisPrompt, mergePrompt,
+} from "./prompts.js";
+
+/* ─── OPERATIONS ─── */
+
+// The only requests the proxy will make on our key. The client picks an
+// operation and supplies its inputs; model, prompt and token cap stay here.
+// `system` is the prompt, or a function building it from the inputs;
+// `repair` allows a corrective pass (see repairTurns).
+const MODEL = "claude-sonnet-4-20250514";
+
+const MAX_DOCUMENT_CHARS = 500000;
+const MAX_EMAIL_POINTS = 40;
+const MAX_POINT_LENGTH = 1000;
+const MAX_REPAIR_OUTPUT = 40000;
+const MAX_REPAIR_ERRORS = 30;
+const MAX_REPAIR_ERROR_CHARS = 200;
+const MAX_REVISION_ITEMS = 80;
+const MAX_REVISION_CHANGES = 60;
+const MAX_CHANGE_CHARS = 3000;
+const MAX_PARTS = 8;
+const MAX_MERGE_CHARS = 200000;
+const MAX_CHAT_TURNS = 40;
+const MAX_QUESTION_CHARS = 1000;
+const MAX_TURN_CHARS = 4000;
+const MAX_REPORT_CHARS = 30000;
+const MAX_RIDER_ITEMS = 30;
+const EMAIL_RECIPIENTS = ["realtor", "landlord", "attorney"];
+const EMAIL_TONES = ["collaborative", "firm", "final_offer"];
+
+function invalid(message) {
+  return new ApiError(400, "invalid_request", message);
+}
+
+// PDFs go to the model as-is; every other format arrives as the text
+// /api/extract produced from it.
+function documentBlock(doc) {
+  if (typeof doc?.text === "string" && doc.text.trim()) {
+    if (doc.text.length > MAX_DOCUMENT_CHARS) {
+      throw new ApiError(413, "payload_too_large", "This lease is too long to analyze in one pass.");
+    }
+    return { type: "document", source: { type: "text", media_type: "text/plain", data: doc.text } };
+  }
+  if (typeof doc?.data !== "string" || !doc.data) {
+    throw invalid("A document is required.");
+  }
+  if (doc.media_type !== "application/pdf") {
+    throw new ApiError(415, "unsupported_document", "Only PDFs can be sent directly; other formats must be extracted first.");
+  }
+  return { type: "document", source: { type: "base64", media_type: doc.media_type, data: doc.data } };
+}
+
+// One validation error as describeErrors (src/lib/analysisSchema.js) words it,
+// "red_flags[0].severity: must be one of high, medium", with one of the
+// messages the client's checks produce.
+const REPAIR_ERROR = new RegExp(
+  "^(\\(root\\)|\\w+(\\[\\d+\\])?(\\.\\w+(\\[\\d+\\])?)*): ("
+  + [
+    "is missing",
+    "must be a finite number",
+    "must be one of [\\w ,]+",
+    "expected \\w+, got \\w+",
+    "expected \\d+ paragraphs, one per issue, got \\d+",
+    "response was not a JSON object",
+    "response was cut off",
+    "cite at least one section or verbatim quote from the lease",
+  ].join("|")
+  + ")$",
+);
+
+// A second pass hands the model its own output plus the validation errors the
+// client found, and asks for the whole object again. Only operations marked
+// `repair` (those whose client re-prompts for JSON) accept one.
+function repairTurns(repair) {
+  if (!repair) return [];
+  const { previous, errors } = repair;
+  if (typeof previous !== "string" || !previous.trim() || previous.length > MAX_REPAIR_OUTPUT) {
+    throw invalid("Repair requests must include the previous response.");
+  }
+  if (
+    !Array.isArray(errors) || errors.length > MAX_REPAIR_ERRORS
+    || errors.some((e) => typeof e !== "string" || e.length > MAX_REPAIR_ERROR_CHARS || !REPAIR_ERROR.test(e))
+  ) {
+    throw invalid("Repair requests must include a short list of validation errors.");
+  }
+  return [
+    { role: "assistant", content: previous.trimEnd() },
+    {
+      role: "user",
+      content: `That response could not be used. Problems found:\n${errors.map((e) => `- ${e}`).join("\n")}\n\nReturn the complete JSON object again with every field from the required structure, fixing these problems. Keep descriptions to one sentence so the whole report fits. Return ONLY raw JSON.`,
+    },
+  ];
+}
+
+function revisionInputs({ items, changes }) {
+  if (!Array.isArray(items) || items.length > MAX_REVISION_ITEMS) {
+    throw invalid("A revision check needs the list of original issues.");
+  }
+  if (!Array.isArray(changes) || changes.length > MAX_REVISION_CHANGES) {
+    throw invalid("Too many changed clauses to compare.");
+  }
+  const str = (v, max) => (typeof v === "string" ? v.slice(0, max) : null);
+  return {
+    items: items.map((i) => ({
+      id: str(i.id, 20),
+      kind: str(i.kind, 20),
+      title: str(i.title, 200),
+      detail: str(i.detail, 500),
+      section: str(i.section, 50),
+    })),
+    changes: changes.map((c) => ({
+      change: str(c.change, 20),
+      section: str(c.section, 200),
+      before: str(c.before, MAX_CHANGE_CHARS),
+      after: str(c.after, MAX_CHANGE_CHARS),
+    })),
+  };
+}
+
+// "tenant" unless the operator is auditing their own agreement.
+function isOperator({ mode }) {
+  if (mode != null && !REVIEW_MODES.some((m) => m.value === mode)) throw invalid("Unknown review mode.");
+  return mode === "operator";
+}
+
+// A missing profile means a review that isn't tailored to a tenant.
+function profileInput({ profile }) {
+  if (profile == null) return null;
+  const clean = normalizeProfile(profile);
+  if (!clean) throw invalid("Invalid tenant profile.");
+  return clean;
+}
+
+// Long leases are analyzed in consecutive parts (see src/lib/leaseChunks.js).
+// A part is reviewed on its own; what it can't see is decided by the merge.
+function partInstruction(part, operator) {
+  if (part == null) {
+    return operator
+      ? "Audit this suite rental agreement. Return ONLY raw JSON. No markdown."
+      : "Analyze this salon suite lease. Return ONLY raw JSON. No markdown.";
+  }
+  const { index, count, sections } = part;
+  if (!Number.isInteger(count) || count < 2 || count > MAX_PARTS || !Number.isInteger(index) || index < 1 || index > count) {
+    throw invalid("Invalid lease part.");
+  }
+  const range = typeof sections === "string" && sections.trim() ? ` (${sections.slice(0, 200)})` : "";
+  const coverage = operator ? `"coverage" and "tenant_coverage"` : `"coverage"`;
+  return `This is part ${index} of ${count} of a longer salon suite lease${range}; the other parts are analyzed separately. Analyze only this part: in ${coverage}, rate the areas it addresses and mark the others "missing"; leave "missing" empty; use "Not found" and null for money, costs and dates it does not state. Return ONLY raw JSON. No markdown.`;
+}
+
+function mergeInputs({ parts }) {
+  if (!Array.isArray(parts) || parts.length < 2 || parts.length > MAX_PARTS) {
+    throw invalid(`A merge needs between 2 and ${MAX_PARTS} partial reports.`);
+  }
+  if (parts.some((p) => typeof p !== "object" || p === null || Array.isArray(p))) {
+    throw invalid("Each partial report must be an object.");
+  }
+  const json = JSON.stringify(parts);
+  if (json.length > MAX_MERGE_CHARS) {
+    throw new ApiError(413, "payload_too_large", "This lease is too long to analyze.");
+  }
+  return json;
+}
+
+function riderItems({ items }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw invalid("Select at least one issue for the rider.");
+  }
+  if (items.length > MAX_RIDER_ITEMS) {
+    throw invalid(`A rider can cover at most ${MAX_RIDER_ITEMS} issues.`);
+  }
+  const str = (v, max) => (typeof v === "string" ? v.slice(0, max) : null);
+  return items.map((i) => ({
+    kind: i?.kind === "missing" ? "missing clause" : "red flag",
+    title: str(i?.title, 200),
+    detail: str(i?.detail, 500),
+    requested_change: str(i?.fix, 500),
+    section: str(i?.section, 50),
+  }));
+}
+
+// A Q&A request carries the earlier turns of the conversation; the lease and
+// the review summary open the first one.
+function chatTurns({ question, history, report }) {
+  if (typeof question !== "string" || !question.trim() || question.length > MAX_QUESTION_CHARS) {
+    throw invalid(`Ask a question of up to ${MAX_QUESTION_CHARS} characters.`);
+  }
+  if (!Array.isArray(history) || history.length > MAX_CHAT_TURNS) {
+    throw invalid("The conversation is too long. Start a new one to keep asking.");
+  }
+  const turns = history.map((t, i) => {
+    const role = i % 2 === 0 ? "user" : "assistant";
+    if (t?.role !== role || typeof t.content !== "string" || !t.content.trim() || t.content.length > MAX_TURN_CHARS) {
+      throw invalid("Conversation turns must alternate between short questions and answers.");
+    }
+    return { role, content: t.content };
+  });
+  const summary = JSON.stringify(report ?? {});
+  if (summary.length > MAX_REPORT_CHARS) throw invalid("The report summary is too long.");
+  return { turns: [...turns, { role: "user", content: question.trim() }], summary };
+}
+
+export const OPERATIONS = {
+  analyze: {
+    model: MODEL,
+    repair: true,
+    max_tokens: 6000, // room for a verbatim quote per item
+    system: (input) => (isOperator(input) ? OPERATOR_PROMPT : analysisPrompt(profileInput(input))),
+    // Every request counts, including each part of a long lease (up to
+    // MAX_PARTS) and corrective passes: a few long leases' worth.
+    rateLimit: { limit: 30, windowMs: 10 * 60 * 1000 },
+    cache: true,
+    messages(input) {
+      return [{
+        role: "user",
+        content: [
+          documentBlock(input.document),
+          { type: "text", text: partInstruction(input.part, isOperator(input)) },
+        ],
+      }];
+    },
+  },
+
+  merge: {
+    model: MODEL,
+    repair: true,
+    max_tokens: 6000,
+    system: (input) => (isOperator(input) ? OPERATOR_MERGE_PROMPT : mergePrompt(profileInput(input))),
+    rateLimit: { limit: 10, windowMs: 10 * 60 * 1000 },
+    cache: true,
+    messages(input) {
+      const parts = mergeInputs(input);
+      return [{
+        role: "user",
+        content: `PARTIAL REPORTS (${input.parts.length} parts of one lease, in document order):\n${parts}\n\nMerge them into one report for the whole lease. Return ONLY raw JSON. No markdown.`,
+      }];
+    },
+  },
+
+  revision: {
+    model: MODEL,
+    repair: true,
+    max_tokens: 3000,
+    system: REVISION_PROMPT,
+    rateLimit: { limit: 10, windowMs: 10 * 60 * 1000 },
+    messages(input) {
+      const { items, changes } = revisionInputs(input);
+      const changed = changes.length
+        ? `CHANGED CLAUSES (previous draft → revision):\n${JSON.stringify(changes, null, 1)}`
+        : "No clause-level diff is available; compare against the issues directly.";
+      return [{
+        role: "user",
+        content: [
+          documentBlock(input.document),
+          {
+            type: "text",
+            text: `ORIGINAL ISSUES:\n${JSON.stringify(items, null, 1)}\n\n${changed}\n\nAssess the revised lease. Return ONLY raw JSON.`,
+          },
+        ],
+      }];
+    },
+  },
+
+  ask: {
+    model: MODEL,
+    repair: true,
+    max_tokens: 1200,
+    system: QA_PROMPT,
+    rateLimit: { limit: 30, windowMs: 10 * 60 * 1000 },
+    messages(input) {
+      const { turns, summary } = chatTurns(input);
+      const [first, ...rest] = turns;
+      return [{
+        role: "user",
+        content: [
+          documentBlock(input.document),
+          { type: "text", text: `REVIEW SUMMARY:\n${summary}\n\nQUESTION:\n${first.content}` },
+        ],
+      }, ...rest];
+    },
+  },
+
+  rider: {
+    model: MODEL,
+    repair: true,
+    max_tokens: 5000,
+    system: RIDER_PROMPT,
+    rateLimit: { limit: 10, windowMs: 10 * 60 * 1000 },
+    messages(input) {
+      const items = riderItems(input);
+      return [{
+        role: "user",
+        content: [
+          documentBlock(input.document),
+          {
+            type: "text",
+            text: `ISSUES:\n${items.map((item, i) => `${i + 1}. ${JSON.stringify(item)}`).join("\n")}\n\nDraft the rider paragraphs. Return ONLY raw JSON.`,
+          },
+        ],
+      }];
+    },
+  },
+
+  email: {
+    model: MODEL,
+    max_tokens: 1500,
+    system: EMAIL_PROMPT,
+    rateLimit: { limit: 20, windowMs: 10 * 60 * 1000 },
+    messages(input) {
+      const { points } = input;
+      if (!Array.isArray(points) || points.length === 0) {
+        throw invalid("Select at least one concern for the email.");
+      }
+      if (points.length > MAX_EMAIL_POINTS) {
+        throw invalid(`An email can cover at most ${MAX_EMAIL_POINTS} concerns.`);
+      }
+      if (points.some((p) => typeof p !== "string" || p.length > MAX_POINT_LENGTH)) {
+        throw invalid("Each concern must be a short piece of text.");
+      }
+      const recipient = input.recipient ?? "realtor";
+      const tone = input.tone ?? "collaborative";
+      if (!EMAIL_RECIPIENTS.includes(recipient)) throw invalid("Unknown email recipient.");
+      if (!EMAIL_TONES.includes(tone)) throw invalid("Unknown email tone.");
+      return [{
+        role: "user",
+        content: `Recipient: ${recipient}\nTone: ${tone}\n\nWrite the email, addressing these ${points.length} concerns from my lease review:\n\n${points.map((p, i) => `${i + 1}. ${p}`).join("\n")}`,
+      }];
+    },
+  },
+};
+
+export function buildRequest(body) {
+  const op = OPERATIONS[body?.operation];
+  if (!op) throw invalid("Unknown operation.");
+  if (body.repair != null && !op.repair) throw invalid("This operation does not take a corrective pass.");
+  return {
+    op,
+    payload: {
+      model: op.model,
+      max_tokens: op.max_tokens,
+      system: typeof op.system === "function" ? op.system(body) : op.system,
+      messages: [...op.messages(body), ...repairTurns(body.repair)],
+    },
+  };
+}
@@ -0,0 +1,254 @@
+import { CRITICAL_AREAS, OPERATOR_AREAS } from "../../src/lib/criticalAreas.js";
+import { BUSINESS_TYPES, profileAreas, profileFocus } from "../../src/lib/tenantProfile.js";
+
+/* ─── PROMPTS ─── */
+const ANALYST = "You are an expert contract analyst specializing in commercial real estate leases for salon suite businesses. You have 20+ years of experience reviewing lease agreements specifically for beauty industry professionals.";
+
+// An operator auditing their own rental agreement gets the same report read
+// from the other side (see src/lib/operatorMode.js).
+const OPERATOR_ANALYST = "You are an expert contract analyst who drafts and audits suite and booth rental agreements for salon suite operators. You know which terms hold up under state landlord-tenant and employment law, and which ones send good stylists to the building down the street.";
+
+const OPERATOR_REVIEW = `The agreement is the operator's own template, handed to stylists who rent suites. Review it on the operator's behalf:
+- "red_flags" are terms that are likely unenforceable (penalties rather than genuine damages, waivers of statutory rights, controls over schedules, pricing or clients that make renters look like employees) or that will scare off good renters. "issue" says which; "fix" proposes a rewrite that keeps the operator protected.
+- "green_flags" are terms that protect the operator and read as fair to renters.
+- "attention" is wording that is ambiguous or hard to enforce; "ask" says what to clarify.
+- "missing" lists protections the operator lacks, such as late fees, damage, insurance requirements and licensing compliance.
+- "priorities" are the changes to make to the agreement first.
+Enforceability depends on state law: say "likely", and recommend local counsel where it turns on the state.`;
+
+// Wording that differs between a tenant's review and an operator's audit.
+const TENANT_VOICE = {
+  summary: "One concise sentence summarizing the contract's quality for a salon suite owner.",
+  issue: "",
+  fix: "One sentence negotiation tip.",
+  ask: "One suggestion for your realtor to raise with the landlord.",
+  tenantCoverage: "",
+  priorities: "Top 3 things to negotiate, each under 10 words",
+  areasHeading: "CRITICAL AREAS FOR SALON SUITE OWNERS",
+  coverage: "rating how the lease handles it for the tenant.",
+};
+
+const OPERATOR_VOICE = {
+  summary: "One concise sentence on how well the agreement protects the operator and how it will land with renters.",
+  issue: ` "issue": "unenforceable or deters_tenants",`,
+  fix: "One sentence rewrite suggestion.",
+  ask: "One question the wording leaves open.",
+  tenantCoverage: `\n  "tenant_coverage": { "<tenant area id>": "favorable, unfavorable, unclear or missing" },`,
+  priorities: "Top 3 changes to make, each under 10 words",
+  areasHeading: "CRITICAL AREAS FOR THE OPERATOR",
+  coverage: `rating how well the agreement protects the operator.
+
+"tenant_coverage" must have one entry per tenant area id below, rating how the agreement treats the renter in that area, as a stylist deciding whether to sign would see it.
+
+TENANT AREAS (id: area):
+${CRITICAL_AREAS.map((a) => `- ${a.id}: ${a.label}`).join("\n")}`,
+};
+
+// The report structure and its rules, shared by the single-pass analysis and
+// the merge of a long lease's partial reports. `areas` are the critical areas
+// to rate in "coverage".
+const reportFormat = (areas, voice = TENANT_VOICE) => `Return ONLY a raw JSON object (no markdown, no backticks, no preamble) with this exact structure:
+
+{
+  "summary": "${voice.summary}",
+  "grade": "A single letter A through F",
+  "green_flags": [
+    { "title": "Short title", "detail": "One sentence max.", "section": "Section ref or null", "quote": "Verbatim excerpt" }
+  ],
+  "red_flags": [
+    { "title": "Short title", "severity": "high or medium",${voice.issue} "detail": "One sentence max.", "fix": "${voice.fix}", "section": "Section ref or null", "quote": "Verbatim excerpt" }
+  ],
+  "attention": [
+    { "title": "Short title", "detail": "One sentence max.", "ask": "${voice.ask}", "section": "Section ref or null", "quote": "Verbatim excerpt" }
+  ],
+  "missing": [
+    { "title": "Clause name", "detail": "One sentence why it matters." }
+  ],
+  "money": {
+    "rent": "Monthly rent or 'Not found'",
+    "deposit": "Deposit amount or 'Not found'",
+    "escalation": "Brief escalation terms or 'Not found'",
+    "fees": ["Short fee descriptions"]
+  },
+  "costs": {
+    "base_rent": "Number: rent per billing period in dollars, or null",
+    "frequency": "weekly, monthly or annual",
+    "deposit": "Number in dollars or null",
+    "escalation": { "type": "none, fixed_percent, fixed_amount or cpi", "rate": "Number: percent for fixed_percent, dollars per billing period for fixed_amount, null otherwise", "every_months": "Number of months between increases, usually 12", "cap": "Number: maximum percent per increase for cpi, or null" },
+    "fees": [
+      { "name": "Short fee name", "amount": "Number in dollars", "frequency": "weekly, monthly, annual or one_time" }
+    ],
+    "term_months": "Number: initial lease term in months, or null",
+    "renewal": { "options": "Number of renewal options (0 if none)", "term_months": "Number: months per renewal, or null", "increase": "Number: percent rent increase at renewal, or null" }
+  },
+  "dates": {
+    "term": "Lease length",
+    "notice": "Notice period",
+    "renewal": "Renewal terms"
+  },
+  "key_dates": [
+    { "type": "commencement, expiration, escalation, renewal_notice, termination_window or other", "label": "Short description", "date": "YYYY-MM-DD when the lease states the calendar date, or null", "anchor": "commencement or expiration when the date is set relative to one of them, or null", "offset_months": "Number of months after (positive) or before (negative) the anchor, or null", "offset_days": "Number of days after (positive) or before (negative) the anchor, added to offset_months, or null", "window_days": "Number: for a window, how many days it stays open from this date, or null", "section": "Section ref or null" }
+  ],
+  "coverage": { "<area id>": "favorable, unfavorable, unclear or missing" },${voice.tenantCoverage}
+  "priorities": ["${voice.priorities}"]
+}
+
+${voice.areasHeading} (id: area):
+${areas.map((a) => `- ${a.id}: ${a.label}`).join("\n")}
+
+"costs" must contain plain JSON numbers (no $ or % signs) taken from the lease; use null when the lease does not state a value. Fees that depend on usage or are not stated as an amount go in "money.fees" only.
+
+"key_dates" lists the dates the tenant must act on or plan around: commencement, expiration, the first scheduled rent increase (later ones repeat every costs.escalation.every_months), the last day to give renewal notice, and when early termination can be exercised. Use "date" only when the lease states the calendar date; otherwise give the anchor and offsets, e.g. renewal notice "ninety days before the end of the term" is anchor "expiration" with offset_days -90. Leave out dates the lease does not set.
+
+"quote" is the shortest passage (one sentence or clause, under 300 characters) copied character for character from the lease that the item is based on; the app checks every quote against the document. Do not paraphrase, shorten with ellipses or fix typos. Every green_flags, red_flags and attention item needs one: if no passage says it, the lease does not contain that clause, so leave the item out (a protection the lease lacks belongs in "missing").
+
+"coverage" must have one entry per critical area id above, ${voice.coverage}
+
+Keep ALL descriptions to ONE sentence. Be direct and specific. No filler.`;
+
+// How much a clause can hurt depends on who signs it, so a tenant profile
+// (src/lib/tenantProfile.js) sets what counts as high severity and which
+// areas the summary and priorities lead with. The grade itself is computed on
+// the client, with the same focus areas weighed more heavily.
+const SEVERITY_BY_BUSINESS = {
+  solo: "The tenant is a solo stylist whose income comes from one chair. A red flag is high severity when it could cost more than one month's rent, makes the tenant personally liable beyond the deposit, or keeps them from leaving within the first year.",
+  salon: "The tenant runs a salon with staff or renters. A red flag is high severity when it could cost more than two months' rent, limits who may work in the space, or leaves repairs to major building systems with the tenant.",
+  multi_suite: "The tenant leases the building to re-let suites to independent operators, so the lease is a master lease and the suite income pays for it. A red flag is high severity when it restricts subleasing or the sublease income, passes uncapped building costs through, or makes the tenant answer for the whole building; a one-off cost under one month's rent is medium.",
+  franchisee: "The tenant operates under a franchise. A red flag is high severity when it conflicts with a typical franchise agreement: no assignment to the franchisor or its approved transferee, no notice and cure rights for the franchisor, or limits on required brand signage, hours or remodels.",
+};
+
+function profileBrief(profile) {
+  if (!profile) return "";
+  const { label } = BUSINESS_TYPES.find((t) => t.value === profile.business);
+  const areas = profileAreas(profile);
+  const focus = profileFocus(profile).map((id) => areas.find((a) => a.id === id).label);
+  const lines = [
+    `Business: ${label}. Suites: ${profile.suites}. Planned booth or chair rentals: ${profile.booth_rentals}. Can offer a personal guarantee: ${profile.guarantee ? "yes" : "no"}.`,
+    SEVERITY_BY_BUSINESS[profile.business],
+    profile.booth_rentals > 0 && `The tenant plans ${profile.booth_rentals} booth or chair rentals: a ban on booth rental, or landlord approval of each renter, is high severity.`,
+    profile.guarantee
+      ? "The tenant can offer a personal guarantee: a capped or burn-off guarantee is at most medium severity, but an unlimited one is still a red flag."
+      : `The tenant cannot offer a personal guarantee: any required personal guarantee is high severity, and its "fix" proposes an alternative such as a larger deposit, a letter of credit or a capped guarantee that burns off.`,
+    `Weigh these areas most heavily in the summary and priorities: ${focus.join("; ")}.`,
+  ];
+  return `TENANT PROFILE (tailor the review to this tenant):\n${lines.filter(Boolean).join("\n")}\n\n`;
+}
+
+// `profile` is null for a review that isn't tailored to a tenant.
+export const analysisPrompt = (profile) => `${ANALYST}
+
+${profileBrief(profile)}Analyze the uploaded contract. ${reportFormat(profileAreas(profile))}`;
+
+export const OPERATOR_PROMPT = `${OPERATOR_ANALYST}
+
+${OPERATOR_REVIEW}
+
+Audit the uploaded agreement. ${reportFormat(OPERATOR_AREAS, OPERATOR_VOICE)}`;
+
+// The merge instructions, shared by both sides.
+const MERGE_STEPS = `A long lease was split into consecutive parts along its article and section boundaries, and each part was analyzed on its own. You receive those partial reports in document order. A part rates only the areas it addresses in "coverage" and marks the rest "missing", and leaves "missing" itself empty.
+
+Merge them into one report for the whole lease:
+- Remove duplicate items: when several parts raise the same issue, keep one, with the most specific detail, section and quote.
+- Copy "section" and "quote" values exactly as the parts give them; never write a new quote.
+- Reconcile "money", "costs" and "dates" by combining what the parts state. When parts disagree, prefer the main lease terms over exhibits, riders and forms, and add an "attention" item describing the conflict.
+- "coverage": an area is "missing" only if every part marks it missing. Otherwise use the rating of the parts that address it, and "unfavorable" when they conflict.
+- List in "missing" the clauses the lease as a whole lacks, judging from the merged coverage.
+- Give one "grade" and "summary" for the whole lease, weighing every part, rather than averaging the parts' grades, and choose "priorities" across the whole lease.`;
+
+export const mergePrompt = (profile) => `${ANALYST}
+
+${profileBrief(profile)}${MERGE_STEPS}
+
+${reportFormat(profileAreas(profile))}`;
+
+export const OPERATOR_MERGE_PROMPT = `${OPERATOR_ANALYST}
+
+${OPERATOR_REVIEW}
+
+${MERGE_STEPS}
+- Rate "tenant_coverage" the same way as "coverage".
+
+${reportFormat(OPERATOR_AREAS, OPERATOR_VOICE)}`;
+
+export const QA_PROMPT = `${ANALYST}
+
+A salon suite tenant has had their lease reviewed and is asking follow-up questions about it. You receive the lease, a summary of the review, and the conversation so far. Answer the latest question from what the lease actually says.
+
+Return ONLY a raw JSON object (no markdown, no backticks, no preamble) with this exact structure:
+
+{
+  "answer": "A direct answer in plain language, at most four sentences.",
+  "citations": [
+    { "section": "Section ref or null", "quote": "Verbatim excerpt or null" }
+  ],
+  "not_in_lease": "true if the lease does not address the question, otherwise false"
+}
+
+RULES:
+- Every answer based on the lease cites at least one section or quote it relies on. A "quote" is copied character for character from the lease (under 300 characters).
+- If the lease does not address the question, say so, set "not_in_lease" to true, leave "citations" empty, and suggest what to ask the landlord.
+- Never invent terms the lease does not contain. You are not the tenant's lawyer; for legal questions beyond the lease's text, recommend asking an attorney.`;
+
+export const RIDER_PROMPT = `You are a commercial real estate attorney drafting a lease rider (addendum) on behalf of a salon suite tenant. You receive the lease and a numbered list of issues the tenant wants changed: red flags in existing clauses and protections the lease is missing.
+
+Write one rider paragraph per issue, in the order given, containing the proposed clause language itself. Return ONLY a raw JSON object (no markdown, no backticks, no preamble) with this exact structure:
+
+{
+  "paragraphs": [
+    { "item": "Number of the issue this paragraph addresses", "heading": "Short caption, e.g. Late Fees", "section": "The lease section it amends or replaces, or null for a new provision", "text": "The proposed clause language" }
+  ]
+}
+
+DRAFTING RULES:
+- Write operative contract language, not advice: "Section 2.3 of the Lease is deleted and replaced with the following: ..." or "The following is added to the Lease as a new provision: ...".
+- Use the lease's own defined terms (Landlord, Tenant, Premises, Commencement Date) and refer to sections by the numbers the lease uses.
+- Be fair enough that a landlord could sign it: cap, soften or clarify rather than simply deleting obligations.
+- Use concrete numbers (days, amounts, percentages) where the issue calls for them, drawing on the tenant's requested change.
+- Each paragraph stands alone, is at most 120 words, and contains no placeholders or brackets.`;
+
+export const EMAIL_PROMPT = `You are writing an email from a prospective salon suite tenant who has had their lease reviewed and wants specific concerns addressed before signing. The request names the recipient and the tone.
+
+Recipients:
+- realtor: ask the realtor to raise each point with the landlord on the tenant's behalf. Frame items as suggestions for them to negotiate or clarify, not as direct demands to the landlord, acknowledge their role as advocate, and ask them to report back.
+- landlord: write directly to the landlord or property manager, requesting each change and explaining briefly why it matters to the tenant.
+- attorney: ask the attorney to review each point, advise whether it is worth pushing on, and suggest language to propose.
+
+Tones:
+- collaborative: warm and appreciative, open to alternatives and compromise.
+- firm: polite but clear that these changes are needed before the tenant can sign.
+- final_offer: courteous and brief; these are the terms the tenant can sign on. Ask for a clear answer by a reasonable date, and say the tenant will look elsewhere otherwise, without hostility.
+
+Write a concise email that:
+- Opens with a greeting ("Hi") and states the lease has been reviewed
+- Lists each concern as a clear, numbered point, in the order given
+- Treats a concern that notes its status so far (raised, refused, compromise) or the tenant's notes as a follow-up: pick up from where it stands rather than raising it for the first time
+- Closes with a clear next step for the recipient
+- Is under 300 words total
+- Do NOT use brackets or placeholders — write it ready to send
+
+Format: the first line is "Subject: " followed by a short, specific subject line, then a blank line, then the email body. No markdown, no backticks.`;
+
+export const REVISION_PROMPT = `You are an expert contract analyst reviewing a REVISED draft of a salon suite lease on behalf of the tenant. Earlier, the previous draft was analyzed and a list of issues was raised with the landlord.
+
+You receive the revised lease, the original issues (each with an id), and the clauses that changed between drafts. Decide how the revision handles every original issue, and find problems the revision's changes introduced.
+
+Return ONLY a raw JSON object (no markdown, no backticks, no preamble) with this exact structure:
+
+{
+  "summary": "One sentence on whether the revision is better or worse for the tenant.",
+  "items": [
+    { "id": "Original issue id", "status": "resolved, partial, unchanged or worsened", "note": "One sentence on what the revision did.", "section": "Section ref in the revised lease or null" }
+  ],
+  "new_issues": [
+    { "title": "Short title", "severity": "high or medium", "detail": "One sentence max.", "section": "Section ref or null" }
+  ]
+}
+
+STATUS RULES:
+- resolved: the revision fully addresses the issue
+- partial: the revision improves it but does not fully address it
+- unchanged: no meaningful change
+- worsened: the revision makes it worse for the tenant
+
+Include every original id exactly once. "new_issues" lists only problems created by the revision's changes, not issues that were already in the previous draft. Keep ALL descriptions to ONE sentence.`;
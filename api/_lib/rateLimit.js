@@ -0,0 +1,31 @@
+/* ─── RATE LIMIT ─── */
+
+// Fixed-window counter per client IP. State lives in the function instance,
+// so this is a best-effort guard against abuse, not an exact quota.
+const windows = new Map();
+
+export function clientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+export function checkRateLimit(key, { limit, windowMs }) {
+  const now = Date.now();
+  let entry = windows.get(key);
+  if (!entry || now >= entry.resetAt) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+  entry.count += 1;
+
+  // Drop expired windows so the map does not grow without bound.
+  if (windows.size > 5000) {
+    for (const [k, v] of windows) if (now >= v.resetAt) windows.delete(k);
+  }
+
+  return {
+    allowed: entry.count <= limit,
+    retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+  };
+}
@@ -0,0 +1,29 @@
+import { ApiError } from "./errors.js";
+import { checkRateLimit, clientIp } from "./rateLimit.js";
+
+/* ─── REQUEST GUARDS ─── */
+
+// Leases arrive base64-encoded; Vercel rejects bodies over 4.5 MB anyway.
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+export function assertPost(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    throw new ApiError(405, "method_not_allowed", "Method not allowed");
+  }
+}
+
+export function assertBodySize(req) {
+  const size = Number(req.headers["content-length"]) || JSON.stringify(req.body || {}).length;
+  if (size > MAX_BODY_BYTES) {
+    throw new ApiError(413, "payload_too_large", "This file is too large. Please upload a lease under 3 MB.");
+  }
+}
+
+export function assertRateLimit(req, res, key, rule) {
+  const limit = checkRateLimit(`${clientIp(req)}:${key}`, rule);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    throw new ApiError(429, "rate_limited", "Too many requests. Please wait a few minutes and try again.");
+  }
+}
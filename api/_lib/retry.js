@@ -0,0 +1,56 @@
+import { networkError } from "./errors.js";
+
+/* ─── RETRIES ─── */
+
+// Anthropic answers 429 (rate limited) and 529 (overloaded) under load. Both,
+// like dropped connections, usually clear within seconds.
+const RETRY_STATUSES = new Set([429, 529]);
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 8000;
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Exponential backoff with full jitter, so requests that failed together
+// don't retry together. An upstream Retry-After wins when there is one.
+function backoff(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+}
+
+// Calls `call(payload, signal)`, retrying retryable statuses and network
+// failures up to MAX_ATTEMPTS times. A retry that would wait past `deadline`
+// (a timestamp) is skipped, and the last response is returned as is.
+export async function callWithRetry(call, payload, { signal, deadline }) {
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    try {
+      response = await call(payload, signal);
+      if (!RETRY_STATUSES.has(response.status)) return response;
+    } catch (err) {
+      // fetch rejects with a TypeError when the connection fails.
+      if (signal?.aborted || !(err instanceof TypeError)) throw err;
+    }
+
+    const wait = backoff(attempt, response?.headers.get("retry-after"));
+    if (attempt >= MAX_ATTEMPTS || Date.now() + wait >= deadline) {
+      if (!response) throw networkError();
+      return response;
+    }
+    await response?.body?.cancel().catch(() => {});
+    console.warn(`Upstream ${response ? response.status : "network error"}; retry ${attempt} in ${Math.round(wait)}ms`);
+    await sleep(wait, signal);
+  }
+}
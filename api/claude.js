@@ -1,18 +1,137 @@
-export default async function handler(req, res) {
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
+import { cacheKey, getCached, setCached } from "./_lib/cache.js";
+import { ApiError, errorBody, sendError, timeoutError, upstreamError } from "./_lib/errors.js";
+import { mockCaller, mockEnabled, mockScenario } from "./_lib/mockProvider.js";
+import { buildRequest } from "./_lib/operations.js";
+import { assertBodySize, assertPost, assertRateLimit } from "./_lib/request.js";
+import { callWithRetry } from "./_lib/retry.js";
+import { readEvents, writeEvent } from "./_lib/sse.js";
 
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
+// Upstream work, retries included, must finish inside vercel.json's
+// maxDuration of 60s so the function can still report a timeout itself.
+const UPSTREAM_TIMEOUT_MS = 55_000;
+
+function callAnthropic(payload, signal) {
+  return fetch("https://api.anthropic.com/v1/messages", {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       "x-api-key": process.env.ANTHROPIC_API_KEY,
       "anthropic-version": "2023-06-01",
     },
-    body: JSON.stringify(req.body),
+    body: JSON.stringify(payload),
+    signal,
   });
+}
+
+function openStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no",
+  });
+}
+
+// Relays the Messages API stream as our own SSE events:
+//   delta { text }  ·  done { stop_reason, usage, cached? }  ·  error { error }
+// `signal` aborts with an ApiError on timeout, which is reported as an error
+// event; any other abort means the browser went away. `onDone` receives the
+// complete { text, stop_reason, usage }.
+async function streamMessage(res, payload, call, { signal, deadline, onDone }) {
+  const response = await callWithRetry(call, { ...payload, stream: true }, { signal, deadline });
+  if (!response.ok) {
+    throw upstreamError(response.status, await response.json().catch(() => null));
+  }
+
+  openStream(res);
+
+  let text = "";
+  let usage = {};
+  let stopReason = null;
+  try {
+    for await (const { event, data } of readEvents(response.body)) {
+      if (event === "message_start") {
+        usage = { ...data.message?.usage };
+      } else if (event === "content_block_delta" && data.delta?.type === "text_delta") {
+        text += data.delta.text;
+        writeEvent(res, "delta", { text: data.delta.text });
+      } else if (event === "message_delta") {
+        stopReason = data.delta?.stop_reason ?? stopReason;
+        usage = { ...usage, ...data.usage };
+      } else if (event === "error") {
+        writeEvent(res, "error", errorBody(upstreamError(502, data)));
+        return res.end();
+      }
+    }
+    writeEvent(res, "done", { stop_reason: stopReason, usage });
+    onDone?.({ text, stop_reason: stopReason, usage });
+  } catch (err) {
+    if (!signal.aborted) writeEvent(res, "error", errorBody(err));
+    else if (signal.reason instanceof ApiError) writeEvent(res, "error", errorBody(signal.reason));
+  }
+  res.end();
+}
 
-  const data = await response.json();
-  res.status(response.status).json(data);
+// Answers from the cache in the same shape as a live response.
+function sendCached(req, res, { text, stop_reason, usage }) {
+  if (req.body.stream !== true) {
+    return res.status(200).json({ content: [{ type: "text", text }], stop_reason, usage, cached: true });
+  }
+  openStream(res);
+  writeEvent(res, "delta", { text });
+  writeEvent(res, "done", { stop_reason, usage, cached: true });
+  res.end();
+}
+
+export default async function handler(req, res) {
+  try {
+    assertPost(req, res);
+    assertBodySize(req);
+
+    const mock = mockEnabled();
+    if (!mock && !process.env.ANTHROPIC_API_KEY) {
+      throw new ApiError(500, "server_misconfigured", "The analysis service is not configured correctly.");
+    }
+
+    const { op, payload } = buildRequest(req.body);
+
+    // Repeat uploads of the same lease are answered without calling the model
+    // (or counting against the rate limit). `fresh: true` forces a new run,
+    // and a corrective pass always goes to the model.
+    const key = op.cache ? cacheKey(op, payload, mock ? `mock:${mockScenario(req)}` : "") : null;
+    const cached = key && req.body.fresh !== true && !req.body.repair ? getCached(key) : null;
+    if (cached) return sendCached(req, res, cached);
+
+    assertRateLimit(req, res, req.body.operation, op.rateLimit);
+
+    const call = mock ? mockCaller(req) : callAnthropic;
+    const store = (result) => key && setCached(key, result);
+    const deadline = Date.now() + UPSTREAM_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(timeoutError()), UPSTREAM_TIMEOUT_MS);
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+      const { signal } = controller;
+      if (req.body.stream === true) return await streamMessage(res, payload, call, { signal, deadline, onDone: store });
+
+      const response = await callWithRetry(call, payload, { signal, deadline });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data) throw upstreamError(response.status, data);
+
+      store({ text: data.content?.map((b) => b.text || "").join("") || "", stop_reason: data.stop_reason, usage: data.usage });
+      res.status(200).json({ content: data.content, stop_reason: data.stop_reason, usage: data.usage });
+    } catch (err) {
+      const { aborted, reason } = controller.signal;
+      if (reason instanceof ApiError) throw reason;
+      if (aborted) return res.end(); // the browser went away
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    sendError(res, err);
+  }
 }
@@ -0,0 +1,24 @@
+import { ApiError, sendError } from "./_lib/errors.js";
+import { extractText } from "./_lib/extractText.js";
+import { assertBodySize, assertPost, assertRateLimit } from "./_lib/request.js";
+
+// Turns an uploaded lease into plain text. DOCX, DOC and TXT leases are
+// analyzed from this text; PDFs are analyzed as documents and their text is
+// only used by features that need to read or quote the lease.
+export default async function handler(req, res) {
+  try {
+    assertPost(req, res);
+    assertBodySize(req);
+    assertRateLimit(req, res, "extract", { limit: 30, windowMs: 10 * 60 * 1000 });
+
+    const { filename, data } = req.body || {};
+    if (typeof data !== "string" || !data) {
+      throw new ApiError(400, "invalid_request", "A file is required.");
+    }
+
+    const { format, text } = await extractText(Buffer.from(data, "base64"), filename);
+    res.status(200).json({ format, text, words: text ? text.split(/\s+/).length : 0 });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -1,89 +1,52 @@
-import { useState, useRef, useCallback } from "react";
+import { useState, useRef, useCallback, useEffect, useMemo } from "react";
 import {
   FileText, Upload, AlertTriangle, CheckCircle, HelpCircle, Shield,
-  DollarSign, Calendar, ArrowRight, X, Loader2, Mail, Copy, Check,
-  AlertCircle, Sparkles, ListChecks, Eye, RotateCcw, ChevronDown, Users
+  DollarSign, Calendar, ArrowRight, X, Loader2,
+  AlertCircle, Sparkles, ListChecks, Eye, RotateCcw, ChevronDown, Users, Columns, ArrowLeft, Download, FileSearch, History, RefreshCw
 } from "lucide-react";
-
-/* ─── PROMPTS ─── */
-const SYSTEM_PROMPT = `You are an expert contract analyst specializing in commercial real estate leases for salon suite businesses. You have 20+ years of experience reviewing lease agreements specifically for beauty industry professionals.
-
-Analyze the uploaded contract and return ONLY a raw JSON object (no markdown, no backticks, no preamble) with this exact structure:
-
-{
-  "summary": "One concise sentence summarizing the contract's quality for a salon suite owner.",
-  "grade": "A single letter A through F",
-  "green_flags": [
-    { "title": "Short title", "detail": "One sentence max.", "section": "Section ref or null" }
-  ],
-  "red_flags": [
-    { "title": "Short title", "severity": "high or medium", "detail": "One sentence max.", "fix": "One sentence negotiation tip.", "section": "Section ref or null" }
-  ],
-  "attention": [
-    { "title": "Short title", "detail": "One sentence max.", "ask": "One suggestion for your realtor to raise with the landlord.", "section": "Section ref or null" }
-  ],
-  "missing": [
-    { "title": "Clause name", "detail": "One sentence why it matters." }
-  ],
-  "money": {
-    "rent": "Monthly rent or 'Not found'",
-    "deposit": "Deposit amount or 'Not found'",
-    "escalation": "Brief escalation terms or 'Not found'",
-    "fees": ["Short fee descriptions"]
-  },
-  "dates": {
-    "term": "Lease length",
-    "notice": "Notice period",
-    "renewal": "Renewal terms"
-  },
-  "priorities": ["Top 3 things to negotiate, each under 10 words"]
-}
-
-CRITICAL AREAS FOR SALON SUITE OWNERS:
-- Tenant improvement (TI) allowances & buildout
-- Early termination clauses & penalties
-- All fees: CAM, maintenance, marketing, association
-- Exclusive use / non-compete clauses
-- Subletting & booth rental permissions
-- Personal guarantee requirements
-- HVAC/plumbing/electrical repair responsibility
-- Signage rights & operating hours
-- Assignment clause (transferring if selling business)
-- Who owns buildout improvements at lease end
-- Force majeure / pandemic provisions
-- Default and cure periods
-
-Keep ALL descriptions to ONE sentence. Be direct and specific. No filler.`;
-
-const EMAIL_PROMPT = `You are writing a professional but firm email from a prospective salon suite tenant to their realtor. The tenant has had their lease reviewed and wants their realtor to address specific concerns with the landlord/property manager before the tenant signs.
-
-Write a concise, professional email that:
-- Opens with a polite greeting and states they've reviewed the lease
-- Lists each concern as a clear, numbered point with suggestions for the realtor to raise with the landlord on the tenant's behalf
-- Frames items as requests for the realtor to negotiate or clarify with the landlord — not as direct demands to the landlord
-- Maintains a collaborative tone and acknowledges the realtor's role as advocate
-- Closes by requesting the realtor follow up with the landlord and report back
-- Is under 300 words total
-- Do NOT use brackets or placeholders — write it ready to send (use "Hi" as greeting)
-
-Return ONLY the email text. No subject line, no markdown, no backticks.`;
+import { REPORT_SECTIONS } from "./lib/streamProgress.js";
+import { AnalysisError, analyzeLease, loadLease } from "./lib/analyzeLease.js";
+import { describeError } from "./lib/errorMessages.js";
+import { applyGrade } from "./lib/grading.js";
+import { buildReportPdf, downloadBlob, reportFileName } from "./lib/reportPdf.js";
+import { isVerified, itemKey, locateItems } from "./lib/locateClause.js";
+import { loadReport, saveReport, updateReport } from "./lib/history.js";
+import { negotiationStarted, trackedStatus, trackerId, updateTracked } from "./lib/negotiation.js";
+import { describeProfile, loadProfile, saveProfile } from "./lib/tenantProfile.js";
+import { RED_FLAG_ISSUES, REVIEW_MODES, isOperatorReport, reportLabels } from "./lib/operatorMode.js";
+import { applyBenchmark, loadMarket, saveMarket } from "./lib/marketBenchmark.js";
+import { COMPARABLES, EXAMPLE_DATA } from "./lib/comparablesData.js";
+import { Badge, Card, GRADE_CONFIG, Segmented } from "./components/ui.jsx";
+import ComparisonView from "./components/ComparisonView.jsx";
+import RevisionView from "./components/RevisionView.jsx";
+import CostCalculator from "./components/CostCalculator.jsx";
+import LeaseViewer from "./components/LeaseViewer.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import GradeBreakdown from "./components/GradeBreakdown.jsx";
+import KeyDates from "./components/KeyDates.jsx";
+import LeaseChat from "./components/LeaseChat.jsx";
+import EmailComposer from "./components/EmailComposer.jsx";
+import RiderDrafter from "./components/RiderDrafter.jsx";
+import NegotiationStatus from "./components/NegotiationStatus.jsx";
+import NegotiationProgress from "./components/NegotiationProgress.jsx";
+import RedactionReview from "./components/RedactionReview.jsx";
+import ProfileForm from "./components/ProfileForm.jsx";
+import TenantFriendliness from "./components/TenantFriendliness.jsx";
+import MarketBenchmark from "./components/MarketBenchmark.jsx";
 
 /* ─── LOADING PHASES ─── */
-const PHASES = [
-  { text: "Reading contract", icon: Eye },
-  { text: "Scanning lease terms", icon: FileText },
-  { text: "Checking fees & penalties", icon: DollarSign },
-  { text: "Reviewing protections", icon: Shield },
-  { text: "Building report", icon: Sparkles },
-];
-
-/* ─── GRADE CONFIG ─── */
-const GRADE_CONFIG = {
-  A: { bg: "bg-emerald-50", border: "border-emerald-200", text: "text-emerald-600", label: "Strong" },
-  B: { bg: "bg-emerald-50", border: "border-emerald-200", text: "text-emerald-600", label: "Good" },
-  C: { bg: "bg-amber-50", border: "border-amber-200", text: "text-amber-600", label: "Fair" },
-  D: { bg: "bg-orange-50", border: "border-orange-200", text: "text-orange-600", label: "Risky" },
-  F: { bg: "bg-red-50", border: "border-red-200", text: "text-red-600", label: "Dangerous" },
+// Shown while the matching section of the report is streaming in.
+const PHASES = {
+  summary: { text: "Summarizing contract", icon: FileText },
+  green_flags: { text: "Reviewing protections", icon: CheckCircle },
+  red_flags: { text: "Flagging risks", icon: AlertTriangle },
+  attention: { text: "Finding unclear terms", icon: HelpCircle },
+  missing: { text: "Checking for missing clauses", icon: Shield },
+  money: { text: "Checking fees & penalties", icon: DollarSign },
+  costs: { text: "Totaling occupancy costs", icon: DollarSign },
+  dates: { text: "Reading key dates", icon: Calendar },
+  coverage: { text: "Checking critical areas", icon: ListChecks },
+  priorities: { text: "Building report", icon: Sparkles },
 };
 
 /* ─── LOGO ─── */
@@ -98,29 +61,6 @@ function Logo({ size = 32 }) {
 
 /* ─── COMPONENTS ─── */
 
-function Card({ children, className = "" }) {
-  return (
-    <div className={`rounded-xl border border-zinc-200 bg-white shadow-sm ${className}`}>
-      {children}
-    </div>
-  );
-}
-
-function Badge({ children, variant = "default" }) {
-  const styles = {
-    default: "bg-zinc-100 text-zinc-600",
-    destructive: "bg-red-50 text-red-600",
-    warning: "bg-amber-50 text-amber-600",
-    success: "bg-emerald-50 text-emerald-600",
-    purple: "bg-violet-50 text-violet-600",
-  };
-  return (
-    <span className={`inline-flex items-center rounded-md px-2 py-0.5 text-xs font-medium ${styles[variant]}`}>
-      {children}
-    </span>
-  );
-}
-
 function StatCard({ icon: Icon, label, value, color }) {
   const colorMap = {
     red: "text-red-600 bg-red-50",
@@ -176,17 +116,36 @@ function Accordion({ title, icon: Icon, count, color, defaultOpen, children }) {
   );
 }
 
-function FlagItem({ item }) {
+// With `onLocate`, clicking the item shows its clause in the lease viewer.
+// `tracker` ({ entry, onChange }) adds the issue's negotiation status;
+// `unverified` marks an item whose quote wasn't found in the lease text. A
+// market flag (from the benchmark) is labeled as such in place of a section.
+function FlagItem({ item, onLocate, tracker, unverified }) {
   return (
-    <div className="py-3 first:pt-2 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+    <div
+      onClick={onLocate}
+      className={`py-3 first:pt-2 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100 ${
+        onLocate ? "-mx-2 cursor-pointer rounded-lg px-2 transition-colors hover:bg-zinc-50" : ""
+      }`}
+    >
       <div className="flex items-start gap-2">
         <span className="flex-1 text-sm font-medium text-zinc-800">{item.title}</span>
+        {unverified && (
+          <span title="The quote this item is based on wasn't found in the lease text. Check the lease before relying on it.">
+            <Badge>Unverified</Badge>
+          </span>
+        )}
+        {item.issue && <Badge variant="purple">{RED_FLAG_ISSUES[item.issue]}</Badge>}
         {item.severity && (
           <Badge variant={item.severity === "high" ? "destructive" : "warning"}>
             {item.severity}
           </Badge>
         )}
         {item.section && <span className="shrink-0 text-[10px] text-zinc-400 mt-0.5">§{item.section}</span>}
+        {item.market && (
+          <span className="shrink-0 text-[10px] text-zinc-400 mt-0.5">{item.sample ? "Example market data" : "Market data"}</span>
+        )}
+        {onLocate && <FileSearch className="mt-0.5 h-3 w-3 shrink-0 text-zinc-300" />}
       </div>
       <p className="mt-1 text-xs leading-relaxed text-zinc-500">{item.detail}</p>
       {item.fix && (
@@ -201,12 +160,15 @@ function FlagItem({ item }) {
           {item.ask}
         </p>
       )}
+      {tracker && <NegotiationStatus {...tracker} />}
     </div>
   );
 }
 
-function LoadingState({ phase }) {
-  const Icon = PHASES[phase]?.icon || Eye;
+function LoadingState({ progress, onCancel }) {
+  const phase = PHASES[progress?.current] || { text: "Reading contract", icon: Eye };
+  const Icon = phase.icon;
+  const seen = progress ? Object.keys(progress.sections).length : 0;
   return (
     <div className="flex flex-col items-center justify-center py-32">
       <div className="relative mb-8">
@@ -219,274 +181,305 @@ function LoadingState({ phase }) {
       </div>
       <div className="flex items-center gap-2 mb-4">
         <Icon className="h-4 w-4 text-amber-500 animate-pulse" />
-        <span className="text-sm font-medium text-zinc-600">{PHASES[phase]?.text}...</span>
+        <span className="text-sm font-medium text-zinc-600">{phase.text}...</span>
       </div>
       <div className="w-48 h-1 rounded-full bg-zinc-100 overflow-hidden">
         <div
           className="h-full rounded-full bg-gradient-to-r from-amber-400 to-amber-500 transition-all duration-1000 ease-out"
-          style={{ width: `${((phase + 1) / PHASES.length) * 100}%` }}
+          style={{ width: `${(Math.max(seen, 0.5) / REPORT_SECTIONS.length) * 100}%` }}
         />
       </div>
-      <div className="flex gap-1.5 mt-5">
-        {PHASES.map((_, i) => (
-          <div key={i} className={`h-1.5 w-1.5 rounded-full transition-colors duration-500 ${i <= phase ? "bg-amber-500" : "bg-zinc-200"}`} />
-        ))}
-      </div>
-    </div>
-  );
-}
-
-/* ─── TOGGLE CHIP ─── */
-function ToggleChip({ label, checked, onChange, color = "zinc" }) {
-  const colors = {
-    red: checked ? "bg-red-50 border-red-200 text-red-700" : "bg-white border-zinc-200 text-zinc-400",
-    amber: checked ? "bg-amber-50 border-amber-200 text-amber-700" : "bg-white border-zinc-200 text-zinc-400",
-    purple: checked ? "bg-violet-50 border-violet-200 text-violet-700" : "bg-white border-zinc-200 text-zinc-400",
-    zinc: checked ? "bg-zinc-100 border-zinc-300 text-zinc-700" : "bg-white border-zinc-200 text-zinc-400",
-  };
-  return (
-    <button
-      onClick={onChange}
-      className={`inline-flex items-center gap-1.5 rounded-lg border px-3 py-1.5 text-xs font-medium transition-all ${colors[color]}`}
-    >
-      <div className={`h-3.5 w-3.5 rounded border flex items-center justify-center transition-colors ${
-        checked ? "bg-current border-current" : "border-zinc-300"
-      }`}>
-        {checked && <Check className="h-2.5 w-2.5 text-white" />}
+      <p className="mt-2 h-4 text-[11px] tabular-nums text-zinc-400">
+        {progress?.part && `Part ${progress.part.index} of ${progress.part.count} · `}
+        {progress?.merging && `Merging ${progress.merging} parts · `}
+        {progress?.retry && "Second pass, completing the report · "}
+        {progress && `${(progress.bytes / 1024).toFixed(1)} KB received · ~${progress.tokens.toLocaleString()} tokens`}
+      </p>
+      <div className="mt-4 flex max-w-sm flex-wrap justify-center gap-1.5">
+        {REPORT_SECTIONS.map((s) => {
+          const count = progress?.sections[s.key];
+          const started = count !== undefined;
+          return (
+            <span
+              key={s.key}
+              className={`rounded-md px-2 py-0.5 text-[11px] font-medium transition-colors duration-500 ${
+                started ? "bg-amber-50 text-amber-600" : "bg-zinc-100 text-zinc-300"
+              }`}
+            >
+              {s.label}{started && count !== null ? ` · ${count}` : ""}
+            </span>
+          );
+        })}
       </div>
-      {label}
-    </button>
-  );
-}
-
-/* ─── EMAIL COMPOSER ─── */
-function EmailComposer({ analysis }) {
-  const [includeAttention, setIncludeAttention] = useState(false);
-  const [includeMissing, setIncludeMissing] = useState(false);
-  const [emailText, setEmailText] = useState("");
-  const [generating, setGenerating] = useState(false);
-  const [copied, setCopied] = useState(false);
-  const [open, setOpen] = useState(false);
-
-  const generateEmail = async () => {
-    setGenerating(true);
-    setEmailText("");
-
-    const points = [];
-
-    analysis.red_flags?.forEach((f) => {
-      points.push(`RED FLAG: ${f.title} — ${f.detail}${f.fix ? ` Requested change: ${f.fix}` : ""}`);
-    });
-
-    if (includeAttention) {
-      analysis.attention?.forEach((a) => {
-        points.push(`NEEDS CLARIFICATION: ${a.title} — ${a.detail}${a.ask ? ` Question: ${a.ask}` : ""}`);
-      });
-    }
-
-    if (includeMissing) {
-      analysis.missing?.forEach((m) => {
-        points.push(`MISSING CLAUSE: ${m.title} — ${m.detail}`);
-      });
-    }
-
-    try {
-      const res = await fetch("/api/claude", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1500,
-          system: EMAIL_PROMPT,
-          messages: [{
-            role: "user",
-            content: `Write an email to my realtor with suggestions for them to raise with the landlord, addressing these ${points.length} concerns from my lease review:\n\n${points.map((p, i) => `${i + 1}. ${p}`).join("\n")}`,
-          }],
-        }),
-      });
-
-      const data = await res.json();
-      const text = data.content?.map((b) => b.text || "").join("") || "";
-      setEmailText(text.trim());
-    } catch {
-      setEmailText("Failed to generate email. Please try again.");
-    } finally {
-      setGenerating(false);
-    }
-  };
-
-  const copyToClipboard = () => {
-    navigator.clipboard.writeText(emailText);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
-  };
-
-  const redCount = analysis.red_flags?.length || 0;
-  const attCount = analysis.attention?.length || 0;
-  const missCount = analysis.missing?.length || 0;
-
-  return (
-    <Card className="overflow-hidden">
       <button
-        onClick={() => setOpen(!open)}
-        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+        onClick={onCancel}
+        className="mt-8 flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
       >
-        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-blue-50 text-blue-600">
-          <Mail className="h-3.5 w-3.5" />
-        </div>
-        <span className="flex-1 text-sm font-medium text-zinc-800">Draft Email to Realtor</span>
-        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+        <X className="h-3 w-3" />
+        Cancel
       </button>
-
-      {open && (
-        <div className="border-t border-zinc-100 px-4 pb-4 pt-3">
-          <p className="text-xs text-zinc-400 mb-3">All red flags are included. Toggle additional items to include:</p>
-
-          <div className="flex flex-wrap gap-2 mb-4">
-            <ToggleChip label={`Red Flags (${redCount})`} checked={true} onChange={() => {}} color="red" />
-            {attCount > 0 && (
-              <ToggleChip
-                label={`Clarifications (${attCount})`}
-                checked={includeAttention}
-                onChange={() => setIncludeAttention(!includeAttention)}
-                color="amber"
-              />
-            )}
-            {missCount > 0 && (
-              <ToggleChip
-                label={`Missing Clauses (${missCount})`}
-                checked={includeMissing}
-                onChange={() => setIncludeMissing(!includeMissing)}
-                color="purple"
-              />
-            )}
-          </div>
-
-          {!emailText && (
-            <button
-              onClick={generateEmail}
-              disabled={generating}
-              className="flex items-center gap-2 rounded-lg bg-zinc-900 px-4 py-2.5 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] disabled:opacity-50 shadow-sm"
-            >
-              {generating ? (
-                <>
-                  <Loader2 className="h-3.5 w-3.5 animate-spin" />
-                  Drafting email...
-                </>
-              ) : (
-                <>
-                  <Sparkles className="h-3.5 w-3.5" />
-                  Generate Email
-                </>
-              )}
-            </button>
-          )}
-
-          {emailText && (
-            <div className="mt-2">
-              <div className="rounded-lg border border-zinc-200 bg-zinc-50 p-4">
-                <pre className="whitespace-pre-wrap text-sm text-zinc-700 leading-relaxed font-sans">
-                  {emailText}
-                </pre>
-              </div>
-              <div className="flex items-center gap-2 mt-3">
-                <button
-                  onClick={copyToClipboard}
-                  className="flex items-center gap-1.5 rounded-lg bg-zinc-900 px-4 py-2 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] shadow-sm"
-                >
-                  {copied ? <Check className="h-3.5 w-3.5" /> : <Copy className="h-3.5 w-3.5" />}
-                  {copied ? "Copied!" : "Copy Email"}
-                </button>
-                <button
-                  onClick={() => { setEmailText(""); }}
-                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
-                >
-                  <RotateCcw className="h-3 w-3" />
-                  Regenerate
-                </button>
-              </div>
-            </div>
-          )}
-        </div>
-      )}
-    </Card>
+    </div>
   );
 }
 
 /* ─── MAIN APP ─── */
 export default function ContractRedline() {
   const [file, setFile] = useState(null);
-  const [fileContent, setFileContent] = useState(null);
+  const [lease, setLease] = useState(null);
+  const [extracting, setExtracting] = useState(false);
+  const [privacy, setPrivacy] = useState(false); // read and redact the lease locally
+  const [profile, setProfile] = useState(loadProfile); // the tenant the review is tailored to
+  const [mode, setMode] = useState("tenant"); // "operator" audits our own rental agreement
+  const [market, setMarket] = useState(loadMarket); // metro and suite size to benchmark against
   const [analysis, setAnalysis] = useState(null);
+  const [analyzedAt, setAnalyzedAt] = useState(null);
+  const [fromCache, setFromCache] = useState(false); // served by the proxy's cache
+  const [emailText, setEmailText] = useState("");
+  const [chat, setChat] = useState([]); // Q&A about the open report's lease
+  const [negotiation, setNegotiation] = useState({}); // status of each issue with the landlord
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null); // why the last PDF export failed
+  const [viewerOpen, setViewerOpen] = useState(false);
+  const [hideUnverified, setHideUnverified] = useState(false);
+  const [activeItem, setActiveItem] = useState(null); // { key, n }
   const [loading, setLoading] = useState(false);
-  const [phase, setPhase] = useState(0);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
   const [dragOver, setDragOver] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [reportId, setReportId] = useState(0);
+  const [historyId, setHistoryId] = useState(null); // saved copy of the open report
+  const [showHistory, setShowHistory] = useState(false);
   const fileInputRef = useRef(null);
-  const phaseRef = useRef(null);
+  const abortRef = useRef(null);
+  const fileRef = useRef(null);
+
+  // Clears what belongs to the open report rather than to the lease.
+  const clearReport = () => {
+    setEmailText("");
+    setChat([]);
+    setNegotiation({});
+    setViewerOpen(false);
+    setActiveItem(null);
+    setExportError(null);
+    setHistoryId(null);
+    setFromCache(false);
+  };
 
-  const handleFile = useCallback((f) => {
+  // Saves a report to the browser's history. Without IndexedDB (some private
+  // windows) or over quota, the report just isn't saved.
+  const remember = (entry) => {
+    saveReport(entry).then(setHistoryId, () => {});
+  };
+
+  const handleFile = useCallback(async (f) => {
     if (!f) return;
+    fileRef.current = f;
     setFile(f);
+    setLease(null);
     setError(null);
-    const reader = new FileReader();
-    reader.onload = (e) => setFileContent(e.target.result.split(",")[1]);
-    reader.readAsDataURL(f);
-  }, []);
 
-  const analyze = useCallback(async () => {
-    if (!fileContent) return;
+    // Word and text leases are converted to text before analysis.
+    setExtracting(true);
+    try {
+      const loaded = await loadLease(f, { privacy });
+      if (fileRef.current === f) setLease(loaded);
+    } catch (err) {
+      if (fileRef.current === f) setError({ type: err.type, message: err.message || "This file could not be read." });
+    } finally {
+      if (fileRef.current === f) setExtracting(false);
+    }
+  }, [privacy]);
+
+  // A finished (or partial) analysis, benchmarked for the chosen market and
+  // graded with its market flags.
+  const benchmarked = (result) => applyGrade(applyBenchmark(result, market, COMPARABLES, { example: EXAMPLE_DATA }));
+
+  // `fresh` bypasses the proxy's cache of earlier analyses of the same lease.
+  const analyze = useCallback(async ({ fresh = false } = {}) => {
+    if (!lease || extracting) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
-    setPhase(0);
+    setProgress(null);
     setError(null);
     setAnalysis(null);
-
-    phaseRef.current = setInterval(() => {
-      setPhase((p) => Math.min(p + 1, PHASES.length - 1));
-    }, 4000);
+    clearReport();
 
     try {
-      const res = await fetch("/api/claude", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 4000,
-          system: SYSTEM_PROMPT,
-          messages: [{
-            role: "user",
-            content: [
-              { type: "document", source: { type: "base64", media_type: file.type || "application/pdf", data: fileContent } },
-              { type: "text", text: "Analyze this salon suite lease. Return ONLY raw JSON. No markdown." },
-            ],
-          }],
-        }),
+      let cached = false;
+      const analyzed = await analyzeLease(lease, {
+        signal: controller.signal,
+        onProgress: setProgress,
+        onResponse: (r) => { cached = r.cached; },
+        fresh,
+        profile,
+        mode,
       });
-
-      const data = await res.json();
-      if (data.error) throw new Error(data.error.message);
-
-      const text = data.content?.map((b) => b.text || "").join("") || "";
-      setAnalysis(JSON.parse(text.replace(/```json|```/g, "").trim()));
+      const result = benchmarked(analyzed);
+      setAnalysis(result);
+      setAnalyzedAt(new Date());
+      setFromCache(cached);
+      remember({ file, lease, analysis: result });
     } catch (err) {
-      setError(err.message || "Analysis failed");
+      // A cancelled analysis goes back to the file-ready screen.
+      if (err.name === "AbortError") return;
+      setError(err instanceof AnalysisError
+        ? { message: err.message, sections: err.sections, partial: err.partial }
+        : { type: err.type, message: err.message || "Analysis failed" });
     } finally {
-      clearInterval(phaseRef.current);
+      abortRef.current = null;
       setLoading(false);
     }
-  }, [fileContent, file]);
+  }, [file, lease, extracting, profile, mode, market]);
+
+  const cancel = () => abortRef.current?.abort();
+
+  // Runs the step that failed again: the analysis, or reading the file.
+  const retry = () => (lease ? analyze() : handleFile(file));
 
   const reset = () => {
+    abortRef.current?.abort();
+    fileRef.current = null;
     setFile(null);
-    setFileContent(null);
+    setLease(null);
+    setExtracting(false);
     setAnalysis(null);
+    clearReport();
     setError(null);
     setLoading(false);
-    setPhase(0);
+    setProgress(null);
+    setComparing(false);
+    setShowHistory(false);
+  };
+
+  // Shows an already-analyzed lease (from a comparison, a revised draft or the
+  // history). Comparison mode stays mounted underneath so the other leases and
+  // their analyses survive the round trip.
+  const openReport = (entry) => {
+    fileRef.current = entry.file;
+    setFile(entry.file);
+    setLease(entry.lease);
+    setAnalysis(applyGrade(entry.analysis)); // reports saved before grading was computed
+    setAnalyzedAt(entry.analyzedAt || new Date());
+    clearReport();
+    setEmailText(entry.email || "");
+    setChat(entry.chat || []);
+    setNegotiation(entry.negotiation || {});
+    setMode(isOperatorReport(entry.analysis) ? "operator" : "tenant"); // so Re-analyze keeps the report's side
+    setHistoryId(entry.historyId || null);
+    setReportId((id) => id + 1);
+    window.scrollTo(0, 0);
+  };
+
+  const adoptRevision = (entry) => {
+    openReport(entry);
+    remember(entry);
+  };
+
+  const openSaved = async (id) => {
+    const saved = await loadReport(id).catch(() => null);
+    if (!saved) return;
+    abortRef.current?.abort();
+    setError(null);
+    setComparing(false);
+    setShowHistory(false);
+    openReport({ ...saved, analyzedAt: new Date(saved.createdAt), historyId: id });
+  };
+
+  // The drafted email, the Q&A and the negotiation tracker are saved with the
+  // report they belong to.
+  useEffect(() => {
+    if (historyId) updateReport(historyId, { email: emailText }).catch(() => {});
+  }, [historyId, emailText]);
+
+  useEffect(() => {
+    if (historyId) updateReport(historyId, { chat }).catch(() => {});
+  }, [historyId, chat]);
+
+  useEffect(() => {
+    if (historyId) updateReport(historyId, { negotiation }).catch(() => {});
+  }, [historyId, negotiation]);
+
+  useEffect(() => saveProfile(profile), [profile]);
+
+  useEffect(() => saveMarket(market), [market]);
+
+  // Re-benchmarks the open report for another metro or suite size; the saved
+  // copy keeps the new market flags and grade.
+  const changeMarket = (next) => {
+    setMarket(next);
+    const updated = applyGrade(applyBenchmark(analysis, next, COMPARABLES, { example: EXAMPLE_DATA }));
+    setAnalysis(updated);
+    if (historyId) updateReport(historyId, { analysis: updated }).catch(() => {});
+  };
+
+  const backToComparison = () => {
+    fileRef.current = null;
+    setFile(null);
+    setLease(null);
+    setAnalysis(null);
+    clearReport();
+  };
+
+  const exportReport = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const blob = await buildReportPdf(analysis, {
+        fileName: file?.name || "Lease",
+        date: analyzedAt || new Date(),
+        email: emailText,
+        unverified,
+        hideUnverified,
+      });
+      downloadBlob(blob, reportFileName(file?.name || "lease"));
+    } catch (err) {
+      setExportError(err.message || "The PDF could not be built.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Where each flag sits in the lease text; null for scanned PDFs.
+  const located = useMemo(
+    () => (analysis && lease?.text ? locateItems(lease.text, analysis) : null),
+    [analysis, lease],
+  );
+
+  // Without the lease text (a scanned PDF) there is nothing to check quotes
+  // against, so no item is marked. Market flags come from the comparables, not
+  // a quote.
+  const unverified = (kind, index) => Boolean(located)
+    && !analysis?.[kind]?.[index]?.market
+    && !isVerified(located, itemKey(kind, index));
+  const visible = (kind) => (analysis?.[kind] || [])
+    .map((item, i) => ({ item, i }))
+    .filter(({ i }) => !hideUnverified || !unverified(kind, i));
+  const unverifiedCount = ["red_flags", "attention", "green_flags"]
+    .reduce((n, kind) => n + (analysis?.[kind] || []).filter((_, i) => unverified(kind, i)).length, 0);
+
+  const locate = (kind, index) => {
+    setViewerOpen(true);
+    setActiveItem((prev) => ({ key: itemKey(kind, index), n: (prev?.n || 0) + 1 }));
+  };
+
+  // Operators auditing their own agreement have no one to negotiate with.
+  const tracker = (kind, index) => {
+    if (isOperatorReport(analysis)) return undefined;
+    const id = trackerId(kind, index, analysis[kind][index]);
+    return {
+      entry: trackedStatus(negotiation, id),
+      onChange: (patch) => setNegotiation((prev) => updateTracked(prev, id, patch)),
+    };
   };
 
   const d = analysis;
+  const showViewer = Boolean(d && located && viewerOpen && !showHistory);
   const gc = d ? (GRADE_CONFIG[d.grade?.[0]] || GRADE_CONFIG.C) : GRADE_CONFIG.C;
+  const operator = isOperatorReport(d);
+  const labels = reportLabels(d);
+  const failure = error && describeError(error);
 
   return (
     <div className="min-h-screen bg-zinc-50 text-zinc-900">
@@ -494,7 +487,7 @@ export default function ContractRedline() {
 
       {/* ── HEADER ── */}
       <header className="sticky top-0 z-50 border-b border-zinc-200 bg-white/80 backdrop-blur-lg">
-        <div className="mx-auto flex h-14 max-w-3xl items-center justify-between px-4">
+        <div className={`mx-auto flex h-14 items-center justify-between px-4 ${showViewer ? "max-w-6xl" : "max-w-3xl"}`}>
           <div className="flex items-center gap-2.5">
             <Logo size={30} />
             <div>
@@ -502,19 +495,36 @@ export default function ContractRedline() {
               <p className="text-[10px] text-zinc-400 uppercase tracking-wider">by The Salon Suite Model</p>
             </div>
           </div>
-          {(file || analysis) && (
-            <button onClick={reset} className="flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600">
-              <RotateCcw className="h-3 w-3" />
-              New
-            </button>
-          )}
+          <div className="flex items-center gap-1">
+            {!showHistory && (
+              <button onClick={() => setShowHistory(true)} className="flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600">
+                <History className="h-3 w-3" />
+                History
+              </button>
+            )}
+            {(file || analysis || comparing || showHistory) && (
+              <button onClick={reset} className="flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600">
+                <RotateCcw className="h-3 w-3" />
+                New
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
-      <main className="mx-auto max-w-3xl px-4 py-8">
+      <main className={`mx-auto px-4 py-8 ${showViewer ? "max-w-6xl" : "max-w-3xl"}`}>
+
+        {/* ── HISTORY ── */}
+        {showHistory && (
+          <HistoryView
+            onOpen={openSaved}
+            onClose={() => setShowHistory(false)}
+            onDeleted={(id) => id === historyId && setHistoryId(null)}
+          />
+        )}
 
         {/* ── UPLOAD ── */}
-        {!file && !loading && !analysis && (
+        {!showHistory && !file && !loading && !analysis && !comparing && (
           <div className="anim-in flex flex-col items-center pt-16">
             <h2 className="mb-2 text-xl font-semibold tracking-tight text-zinc-900">Upload your lease</h2>
             <p className="mb-8 text-sm text-zinc-400">Get an instant red-line analysis before you sign.</p>
@@ -544,6 +554,22 @@ export default function ContractRedline() {
               <span className="mt-1 text-xs text-zinc-400">PDF, DOC, DOCX, TXT</span>
             </div>
 
+            <label className="mt-4 flex max-w-md cursor-pointer items-start gap-2 text-xs text-zinc-500">
+              <input type="checkbox" checked={privacy} onChange={(e) => setPrivacy(e.target.checked)} className="mt-0.5 accent-zinc-900" />
+              <span>
+                <span className="font-medium text-zinc-700">Privacy mode</span> — read the lease in your browser and replace names,
+                addresses, SSNs, EINs and account numbers with placeholders before it is sent
+              </span>
+            </label>
+
+            <button
+              onClick={() => setComparing(true)}
+              className="mt-4 flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+            >
+              <Columns className="h-3.5 w-3.5" />
+              Weighing locations? Compare 2–4 leases
+            </button>
+
             {/* Trust Badge */}
             <div className="mt-8 flex items-center gap-2 text-zinc-400">
               <div className="flex items-center justify-center h-5 w-5 rounded-full bg-emerald-50">
@@ -555,7 +581,7 @@ export default function ContractRedline() {
         )}
 
         {/* ── FILE READY ── */}
-        {file && !loading && !analysis && !error && (
+        {!showHistory && file && !loading && !analysis && !error && (
           <div className="anim-in flex flex-col items-center pt-20">
             <Card className="mb-6 flex w-full max-w-md items-center gap-3 p-4">
               <div className="flex h-10 w-10 shrink-0 items-center justify-center rounded-lg bg-zinc-100">
@@ -563,18 +589,43 @@ export default function ContractRedline() {
               </div>
               <div className="min-w-0 flex-1">
                 <p className="truncate text-sm font-medium text-zinc-800">{file.name}</p>
-                <p className="text-xs text-zinc-400">{(file.size / 1024).toFixed(0)} KB</p>
+                <p className="text-xs text-zinc-400">
+                  {(file.size / 1024).toFixed(0)} KB
+                  {extracting && " · Extracting text..."}
+                  {lease?.text && ` · ${lease.text.split(/\s+/).length.toLocaleString()} words`}
+                </p>
               </div>
               <button onClick={reset} className="rounded-md p-1.5 text-zinc-300 hover:bg-zinc-100 hover:text-zinc-500 transition-colors">
                 <X className="h-4 w-4" />
               </button>
             </Card>
 
+            {lease?.redaction && (
+              <div className="mb-6 w-full max-w-md">
+                <RedactionReview redaction={lease.redaction} onChange={(redaction) => setLease({ ...lease, redaction })} defaultOpen />
+              </div>
+            )}
+
+            <div className="mb-6 w-full max-w-md space-y-3">
+              <div className="flex justify-center">
+                <Segmented options={REVIEW_MODES} value={mode} onChange={setMode} />
+              </div>
+              {mode === "operator" ? (
+                <p className="text-center text-xs text-zinc-400">
+                  Audit the rental agreement you hand to stylists: terms likely to be unenforceable or scare renters off,
+                  protections you're missing, and how tenant-friendly it reads.
+                </p>
+              ) : (
+                <ProfileForm profile={profile} onChange={setProfile} />
+              )}
+            </div>
+
             <button
-              onClick={analyze}
-              className="flex items-center gap-2 rounded-xl bg-zinc-900 px-6 py-3 text-sm font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] shadow-sm"
+              onClick={() => analyze()}
+              disabled={!lease || extracting}
+              className="flex items-center gap-2 rounded-xl bg-zinc-900 px-6 py-3 text-sm font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] disabled:opacity-50 shadow-sm"
             >
-              <Sparkles className="h-4 w-4" />
+              {extracting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Sparkles className="h-4 w-4" />}
               Analyze Contract
             </button>
 
@@ -588,179 +639,403 @@ export default function ContractRedline() {
         )}
 
         {/* ── LOADING ── */}
-        {loading && <LoadingState phase={phase} />}
+        {!showHistory && loading && <LoadingState progress={progress} onCancel={cancel} />}
 
         {/* ── ERROR ── */}
-        {error && (
+        {!showHistory && failure && (
           <div className="anim-in flex flex-col items-center pt-24">
             <Card className="flex max-w-sm flex-col items-center p-8 text-center">
               <AlertCircle className="mb-3 h-8 w-8 text-red-500" />
-              <p className="mb-1 text-sm font-medium text-zinc-800">Something went wrong</p>
-              <p className="mb-5 text-xs text-zinc-400 leading-relaxed">{error}</p>
-              <button onClick={reset} className="rounded-lg bg-zinc-100 px-4 py-2 text-xs font-medium text-zinc-600 hover:bg-zinc-200 transition-colors">
-                Try again
-              </button>
+              <p className="mb-1 text-sm font-medium text-zinc-800">{failure.title}</p>
+              <p className={`${failure.hint ? "mb-2" : "mb-5"} text-xs text-zinc-400 leading-relaxed`}>{failure.message}</p>
+              {failure.hint && <p className="mb-5 text-xs font-medium text-zinc-600 leading-relaxed">{failure.hint}</p>}
+              {error.sections?.length > 0 && (
+                <div className="mb-5 flex flex-wrap justify-center gap-1.5">
+                  {error.sections.map((s) => <Badge key={s} variant="destructive">{s}</Badge>)}
+                </div>
+              )}
+              <div className="flex flex-wrap justify-center gap-2">
+                {failure.action === "retry" && (
+                  <button onClick={retry} className="rounded-lg bg-zinc-900 px-4 py-2 text-xs font-medium text-white hover:bg-zinc-800 transition-colors">
+                    Try again
+                  </button>
+                )}
+                <button onClick={reset} className="rounded-lg bg-zinc-100 px-4 py-2 text-xs font-medium text-zinc-600 hover:bg-zinc-200 transition-colors">
+                  {failure.action === "retry" ? "Start over" : "Choose another file"}
+                </button>
+                {error.partial && (
+                  <button
+                    onClick={() => {
+                      const partial = benchmarked(error.partial);
+                      setAnalysis(partial);
+                      setAnalyzedAt(new Date());
+                      setError(null);
+                      remember({ file, lease, analysis: partial });
+                    }}
+                    className="rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-600 hover:bg-zinc-50 transition-colors"
+                  >
+                    Show partial report
+                  </button>
+                )}
+              </div>
             </Card>
           </div>
         )}
 
+        {/* ── COMPARISON ── */}
+        {comparing && (
+          <div className={analysis || showHistory ? "hidden" : ""}>
+            <ComparisonView profile={profile} onOpen={openReport} />
+          </div>
+        )}
+
         {/* ── RESULTS ── */}
-        {d && (
-          <div className="space-y-3">
-
-            {/* Grade + Summary */}
-            <Card className="p-5 anim-in">
-              <div className="flex items-start gap-4">
-                <div className={`flex h-14 w-14 shrink-0 items-center justify-center rounded-xl border ${gc.border} ${gc.bg}`}>
-                  <span className={`text-2xl font-bold ${gc.text}`}>{d.grade}</span>
-                </div>
-                <div className="min-w-0 flex-1">
-                  <div className="flex items-center gap-2 mb-1">
-                    <h2 className="text-base font-semibold text-zinc-900">Contract Grade</h2>
-                    <Badge variant={d.grade <= "B" ? "success" : d.grade === "C" ? "warning" : "destructive"}>
-                      {gc.label}
-                    </Badge>
-                  </div>
-                  <p className="text-sm leading-relaxed text-zinc-500">{d.summary}</p>
+        {d && !showHistory && (
+          <div key={reportId} className={showViewer ? "lg:grid lg:grid-cols-2 lg:items-start lg:gap-4" : ""}>
+            <div className="space-y-3">
+
+              <div className="flex items-center justify-between">
+                {comparing ? (
+                  <button
+                    onClick={backToComparison}
+                    className="flex items-center gap-1.5 rounded-lg px-2 py-1 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+                  >
+                    <ArrowLeft className="h-3 w-3" />
+                    Back to comparison
+                  </button>
+                ) : <span />}
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                  {fromCache && <span className="hidden text-[11px] text-zinc-400 sm:inline">Saved result · no new charge</span>}
+                  {lease && (
+                    <button
+                      onClick={() => analyze({ fresh: true })}
+                      title="Run a new analysis instead of reusing the saved one"
+                      className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+                    >
+                      <RefreshCw className="h-3 w-3" />
+                      Re-analyze
+                    </button>
+                  )}
+                  {located && (
+                    <button
+                      onClick={() => setViewerOpen(!viewerOpen)}
+                      className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+                    >
+                      <FileSearch className="h-3 w-3" />
+                      {viewerOpen ? "Hide lease" : "View lease"}
+                    </button>
+                  )}
+                  <button
+                    onClick={exportReport}
+                    disabled={exporting}
+                    className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50 disabled:opacity-50"
+                  >
+                    {exporting ? <Loader2 className="h-3 w-3 animate-spin" /> : <Download className="h-3 w-3" />}
+                    Export report
+                  </button>
                 </div>
               </div>
-            </Card>
 
-            {/* Priorities */}
-            {d.priorities?.length > 0 && (
-              <Card className="p-4 anim-in anim-d1">
-                <div className="flex items-center gap-2 mb-3">
-                  <ListChecks className="h-4 w-4 text-amber-500" />
-                  <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Negotiate First</span>
-                </div>
-                <div className="space-y-2">
-                  {d.priorities.map((p, i) => (
-                    <div key={i} className="flex items-center gap-3">
-                      <span className="flex h-5 w-5 shrink-0 items-center justify-center rounded-full bg-amber-50 text-[10px] font-bold text-amber-600">
-                        {i + 1}
-                      </span>
-                      <span className="text-sm text-zinc-700">{p}</span>
+              {exportError && (
+                <p className="rounded-lg bg-red-50 px-3 py-2 text-xs text-red-600">
+                  <span className="font-medium">The report couldn't be exported. Try again, or reload the page if it keeps failing.</span> {exportError}
+                </p>
+              )}
+
+              {/* Grade + Summary */}
+              <Card className="p-5 anim-in">
+                <div className="flex items-start gap-4">
+                  <div className={`flex h-14 w-14 shrink-0 items-center justify-center rounded-xl border ${gc.border} ${gc.bg}`}>
+                    <span className={`text-2xl font-bold ${gc.text}`}>{d.grade}</span>
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h2 className="text-base font-semibold text-zinc-900">Contract Grade</h2>
+                      <Badge variant={gc.variant}>
+                        {gc.label}
+                      </Badge>
                     </div>
-                  ))}
+                    <p className="text-sm leading-relaxed text-zinc-500">{d.summary}</p>
+                    {d.profile && (
+                      <p className="mt-1.5 text-[11px] text-zinc-400">
+                        Reviewed for: <span className="font-medium text-zinc-500">{describeProfile(d.profile)}</span>
+                      </p>
+                    )}
+                    {operator && (
+                      <p className="mt-1.5 text-[11px] text-zinc-400">
+                        Operator audit: graded on how well the agreement protects you
+                      </p>
+                    )}
+                    {d.review && (
+                      <p className="mt-1.5 text-[11px] text-zinc-400">
+                        {d.review.sections} {d.review.sections === 1 ? "section" : "sections"} reviewed
+                        {d.review.parts > 1 && ` in ${d.review.parts} parts`}
+                      </p>
+                    )}
+                    <GradeBreakdown analysis={d} />
+                    <TenantFriendliness analysis={d} />
+                  </div>
                 </div>
               </Card>
-            )}
 
-            {/* Stats Row */}
-            <div className="grid grid-cols-2 gap-3 sm:grid-cols-4 anim-in anim-d2">
-              <StatCard icon={AlertTriangle} label="Red Flags" value={d.red_flags?.length || 0} color="red" />
-              <StatCard icon={HelpCircle} label="Clarify" value={d.attention?.length || 0} color="amber" />
-              <StatCard icon={CheckCircle} label="Green Flags" value={d.green_flags?.length || 0} color="green" />
-              <StatCard icon={Shield} label="Missing" value={d.missing?.length || 0} color="purple" />
-            </div>
+              {/* Priorities */}
+              {d.priorities?.length > 0 && (
+                <Card className="p-4 anim-in anim-d1">
+                  <div className="flex items-center gap-2 mb-3">
+                    <ListChecks className="h-4 w-4 text-amber-500" />
+                    <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">{labels.priorities}</span>
+                  </div>
+                  <div className="space-y-2">
+                    {d.priorities.map((p, i) => (
+                      <div key={i} className="flex items-center gap-3">
+                        <span className="flex h-5 w-5 shrink-0 items-center justify-center rounded-full bg-amber-50 text-[10px] font-bold text-amber-600">
+                          {i + 1}
+                        </span>
+                        <span className="text-sm text-zinc-700">{p}</span>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+              )}
 
-            {/* Red Flags */}
-            {d.red_flags?.length > 0 && (
-              <div className="anim-in anim-d3">
-                <Accordion title="Red Flags" icon={AlertTriangle} count={d.red_flags.length} color="red" defaultOpen>
-                  {d.red_flags.map((f, i) => <FlagItem key={i} item={f} />)}
-                </Accordion>
+              {/* Stats Row */}
+              <div className="grid grid-cols-2 gap-3 sm:grid-cols-4 anim-in anim-d2">
+                <StatCard icon={AlertTriangle} label="Red Flags" value={d.red_flags?.length || 0} color="red" />
+                <StatCard icon={HelpCircle} label="Clarify" value={d.attention?.length || 0} color="amber" />
+                <StatCard icon={CheckCircle} label="Green Flags" value={d.green_flags?.length || 0} color="green" />
+                <StatCard icon={Shield} label="Missing" value={d.missing?.length || 0} color="purple" />
               </div>
-            )}
 
-            {/* Attention */}
-            {d.attention?.length > 0 && (
-              <div className="anim-in anim-d4">
-                <Accordion title="Needs Clarification" icon={HelpCircle} count={d.attention.length} color="amber" defaultOpen>
-                  {d.attention.map((f, i) => <FlagItem key={i} item={f} />)}
-                </Accordion>
-              </div>
-            )}
+              {/* Quote Check */}
+              {unverifiedCount > 0 && (
+                <div className="anim-in anim-d2 flex items-center gap-3 rounded-xl border border-zinc-200 bg-white px-4 py-2.5 shadow-sm">
+                  <AlertCircle className="h-4 w-4 shrink-0 text-zinc-400" />
+                  <p className="flex-1 text-xs text-zinc-500">
+                    {unverifiedCount} {unverifiedCount === 1 ? "item's quote wasn't" : "items' quotes weren't"} found in the lease text.
+                    Check {unverifiedCount === 1 ? "it" : "them"} against the lease before relying on {unverifiedCount === 1 ? "it" : "them"}.
+                  </p>
+                  <label className="flex shrink-0 cursor-pointer items-center gap-1.5 text-xs font-medium text-zinc-600">
+                    <input
+                      type="checkbox"
+                      checked={hideUnverified}
+                      onChange={(e) => setHideUnverified(e.target.checked)}
+                      className="accent-zinc-900"
+                    />
+                    Hide unverified
+                  </label>
+                </div>
+              )}
 
-            {/* Green Flags */}
-            {d.green_flags?.length > 0 && (
-              <div className="anim-in anim-d5">
-                <Accordion title="Green Flags" icon={CheckCircle} count={d.green_flags.length} color="green">
-                  {d.green_flags.map((f, i) => <FlagItem key={i} item={f} />)}
-                </Accordion>
-              </div>
-            )}
+              {/* Negotiation Progress */}
+              {negotiationStarted(negotiation) && (
+                <div className="anim-in anim-d2">
+                  <NegotiationProgress analysis={d} negotiation={negotiation} />
+                </div>
+              )}
 
-            {/* Missing */}
-            {d.missing?.length > 0 && (
-              <div className="anim-in anim-d6">
-                <Accordion title="Missing Clauses" icon={Shield} count={d.missing.length} color="purple">
-                  {d.missing.map((m, i) => (
-                    <div key={i} className="py-2.5 first:pt-2 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
-                      <p className="text-sm font-medium text-zinc-800">{m.title}</p>
-                      <p className="mt-0.5 text-xs text-zinc-400">{m.detail}</p>
-                    </div>
-                  ))}
-                </Accordion>
-              </div>
-            )}
+              {/* Red Flags */}
+              {visible("red_flags").length > 0 && (
+                <div className="anim-in anim-d3">
+                  <Accordion title="Red Flags" icon={AlertTriangle} count={visible("red_flags").length} color="red" defaultOpen>
+                    {visible("red_flags").map(({ item: f, i }) => (
+                      <FlagItem
+                        key={i}
+                        item={f}
+                        onLocate={located ? () => locate("red_flags", i) : undefined}
+                        tracker={tracker("red_flags", i)}
+                        unverified={unverified("red_flags", i)}
+                      />
+                    ))}
+                  </Accordion>
+                </div>
+              )}
 
-            {/* Money & Dates */}
-            <div className="grid gap-3 sm:grid-cols-2 anim-in anim-d7">
-              {d.money && (
-                <Card className="p-4">
-                  <div className="flex items-center gap-2 mb-3">
-                    <DollarSign className="h-4 w-4 text-zinc-400" />
-                    <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Financials</span>
-                  </div>
-                  <div className="space-y-3">
-                    {[
-                      ["Rent", d.money.rent],
-                      ["Deposit", d.money.deposit],
-                      ["Escalation", d.money.escalation],
-                    ]
-                      .filter(([, v]) => v && v !== "Not found")
-                      .map(([l, v], i) => (
-                        <div key={i} className="flex items-center justify-between">
-                          <span className="text-xs text-zinc-400">{l}</span>
-                          <span className="text-sm font-medium text-zinc-800">{v}</span>
-                        </div>
-                      ))}
-                    {d.money.fees?.length > 0 && d.money.fees[0] !== "None" && (
-                      <div className="border-t border-zinc-100 pt-2.5">
-                        <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Extra Fees</p>
-                        {d.money.fees.map((f, i) => (
-                          <p key={i} className="text-xs text-red-500 py-0.5">• {f}</p>
-                        ))}
+              {/* Attention */}
+              {visible("attention").length > 0 && (
+                <div className="anim-in anim-d4">
+                  <Accordion title="Needs Clarification" icon={HelpCircle} count={visible("attention").length} color="amber" defaultOpen>
+                    {visible("attention").map(({ item: f, i }) => (
+                      <FlagItem
+                        key={i}
+                        item={f}
+                        onLocate={located ? () => locate("attention", i) : undefined}
+                        tracker={tracker("attention", i)}
+                        unverified={unverified("attention", i)}
+                      />
+                    ))}
+                  </Accordion>
+                </div>
+              )}
+
+              {/* Green Flags */}
+              {visible("green_flags").length > 0 && (
+                <div className="anim-in anim-d5">
+                  <Accordion title="Green Flags" icon={CheckCircle} count={visible("green_flags").length} color="green">
+                    {visible("green_flags").map(({ item: f, i }) => (
+                      <FlagItem
+                        key={i}
+                        item={f}
+                        onLocate={located ? () => locate("green_flags", i) : undefined}
+                        unverified={unverified("green_flags", i)}
+                      />
+                    ))}
+                  </Accordion>
+                </div>
+              )}
+
+              {/* Missing */}
+              {d.missing?.length > 0 && (
+                <div className="anim-in anim-d6">
+                  <Accordion title={labels.missing} icon={Shield} count={d.missing.length} color="purple">
+                    {d.missing.map((m, i) => (
+                      <div key={i} className="py-2.5 first:pt-2 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+                        <p className="text-sm font-medium text-zinc-800">{m.title}</p>
+                        <p className="mt-0.5 text-xs text-zinc-400">{m.detail}</p>
+                        {!operator && <NegotiationStatus {...tracker("missing", i)} />}
                       </div>
-                    )}
-                  </div>
-                </Card>
+                    ))}
+                  </Accordion>
+                </div>
               )}
 
-              {d.dates && (
-                <Card className="p-4">
-                  <div className="flex items-center gap-2 mb-3">
-                    <Calendar className="h-4 w-4 text-zinc-400" />
-                    <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Key Terms</span>
-                  </div>
-                  <div className="space-y-3">
-                    {[
-                      ["Term", d.dates.term],
-                      ["Notice", d.dates.notice],
-                      ["Renewal", d.dates.renewal],
-                    ]
-                      .filter(([, v]) => v && v !== "Not found")
-                      .map(([l, v], i) => (
-                        <div key={i} className="flex items-center justify-between">
-                          <span className="text-xs text-zinc-400">{l}</span>
-                          <span className="text-sm font-medium text-zinc-800">{v}</span>
+              {/* Money & Dates */}
+              <div className="grid gap-3 sm:grid-cols-2 anim-in anim-d7">
+                {d.money && (
+                  <Card className="p-4">
+                    <div className="flex items-center gap-2 mb-3">
+                      <DollarSign className="h-4 w-4 text-zinc-400" />
+                      <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Financials</span>
+                    </div>
+                    <div className="space-y-3">
+                      {[
+                        ["Rent", d.money.rent],
+                        ["Deposit", d.money.deposit],
+                        ["Escalation", d.money.escalation],
+                      ]
+                        .filter(([, v]) => v && v !== "Not found")
+                        .map(([l, v], i) => (
+                          <div key={i} className="flex items-center justify-between">
+                            <span className="text-xs text-zinc-400">{l}</span>
+                            <span className="text-sm font-medium text-zinc-800">{v}</span>
+                          </div>
+                        ))}
+                      {d.money.fees?.length > 0 && d.money.fees[0] !== "None" && (
+                        <div className="border-t border-zinc-100 pt-2.5">
+                          <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Extra Fees</p>
+                          {d.money.fees.map((f, i) => (
+                            <p key={i} className="text-xs text-red-500 py-0.5">• {f}</p>
+                          ))}
                         </div>
-                      ))}
-                  </div>
-                </Card>
+                      )}
+                    </div>
+                  </Card>
+                )}
+
+                {d.dates && (
+                  <Card className="p-4">
+                    <div className="flex items-center gap-2 mb-3">
+                      <Calendar className="h-4 w-4 text-zinc-400" />
+                      <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Key Terms</span>
+                    </div>
+                    <div className="space-y-3">
+                      {[
+                        ["Term", d.dates.term],
+                        ["Notice", d.dates.notice],
+                        ["Renewal", d.dates.renewal],
+                      ]
+                        .filter(([, v]) => v && v !== "Not found")
+                        .map(([l, v], i) => (
+                          <div key={i} className="flex items-center justify-between">
+                            <span className="text-xs text-zinc-400">{l}</span>
+                            <span className="text-sm font-medium text-zinc-800">{v}</span>
+                          </div>
+                        ))}
+                    </div>
+                  </Card>
+                )}
+              </div>
+
+              {/* Market Benchmark */}
+              {d.costs && (
+                <div className="anim-in anim-d7">
+                  <MarketBenchmark analysis={d} market={d.market || market} onChange={changeMarket} />
+                </div>
               )}
-            </div>
 
-            {/* Email Composer */}
-            <div className="anim-in anim-d8">
-              <EmailComposer analysis={d} />
+              {/* Cost of Occupancy */}
+              {d.costs && (
+                <div className="anim-in anim-d7">
+                  <CostCalculator costs={d.costs} />
+                </div>
+              )}
+
+              {/* Key Dates */}
+              {d.key_dates?.length > 0 && (
+                <div className="anim-in anim-d7">
+                  <KeyDates analysis={d} fileName={file?.name} />
+                </div>
+              )}
+
+              {/* Lease Q&A */}
+              {lease && (
+                <div className="anim-in anim-d8">
+                  <LeaseChat lease={lease} analysis={d} chat={chat} setChat={setChat} />
+                </div>
+              )}
+
+              {/* Lease Rider */}
+              {lease && !operator && (
+                <div className="anim-in anim-d8">
+                  <RiderDrafter lease={lease} analysis={d} fileName={file?.name} />
+                </div>
+              )}
+
+              {/* Email Composer */}
+              {!operator && (
+                <div className="anim-in anim-d8">
+                  <EmailComposer
+                    analysis={d}
+                    negotiation={negotiation}
+                    redaction={lease?.redaction}
+                    emailText={emailText}
+                    setEmailText={setEmailText}
+                    fileName={file?.name}
+                  />
+                </div>
+              )}
+
+              {/* Privacy Mode */}
+              {lease?.redaction && (
+                <div className="anim-in anim-d8">
+                  <RedactionReview redaction={lease.redaction} />
+                </div>
+              )}
+
+              {/* Revised Draft */}
+              {!operator && (
+                <div className="anim-in anim-d8">
+                  <RevisionView analysis={d} lease={lease} onAdopt={adoptRevision} />
+                </div>
+              )}
+
+              {/* Disclaimer */}
+              <p className="anim-in anim-d9 pt-4 pb-8 text-center text-[11px] text-zinc-300">
+                For informational purposes only — consult a qualified attorney before signing.
+              </p>
             </div>
 
-            {/* Disclaimer */}
-            <p className="anim-in anim-d9 pt-4 pb-8 text-center text-[11px] text-zinc-300">
-              For informational purposes only — consult a qualified attorney before signing.
-            </p>
+            {/* Lease text */}
+            {showViewer && (
+              <aside className="fixed inset-x-0 bottom-0 z-40 h-[60vh] border-t border-zinc-200 bg-white shadow-lg lg:sticky lg:inset-auto lg:top-20 lg:z-auto lg:h-[calc(100vh-6rem)] lg:rounded-xl lg:border lg:shadow-sm">
+                <LeaseViewer
+                  text={lease.text}
+                  located={located}
+                  active={activeItem}
+                  fileName={file?.name}
+                  onClose={() => setViewerOpen(false)}
+                />
+              </aside>
+            )}
           </div>
         )}
       </main>
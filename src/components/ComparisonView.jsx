@@ -0,0 +1,237 @@
+import { useRef, useState } from "react";
+import { AlertCircle, ArrowRight, CheckCircle, FileText, Loader2, Plus, Sparkles, X } from "lucide-react";
+import { AnalysisError, analyzeLease, loadLease } from "../lib/analyzeLease.js";
+import { buildComparison } from "../lib/compareLeases.js";
+import { Badge, Card, GRADE_CONFIG } from "./ui.jsx";
+
+/* ─── LEASE COMPARISON ─── */
+
+const MAX_LEASES = 4;
+
+const STATUS_STYLES = {
+  favorable: "text-emerald-600",
+  unfavorable: "text-red-600",
+  unclear: "text-amber-600",
+  missing: "text-zinc-400",
+};
+
+let nextId = 1;
+
+function LeaseRow({ entry, busy, onRemove, onOpen }) {
+  const gc = GRADE_CONFIG[entry.analysis?.grade];
+  return (
+    <div className="flex items-center gap-3 py-2.5 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+      <div className="flex h-8 w-8 shrink-0 items-center justify-center rounded-lg bg-zinc-100">
+        {gc ? <span className={`text-sm font-bold ${gc.text}`}>{entry.analysis.grade}</span> : <FileText className="h-4 w-4 text-zinc-400" />}
+      </div>
+      <div className="min-w-0 flex-1">
+        <p className="truncate text-sm font-medium text-zinc-800">{entry.file.name}</p>
+        <p className="text-xs text-zinc-400">
+          {entry.status === "reading" && "Reading file..."}
+          {entry.status === "ready" && "Ready to analyze"}
+          {entry.status === "queued" && "Waiting..."}
+          {entry.status === "analyzing" && (entry.progress
+            ? `Analyzing · ${(entry.progress.bytes / 1024).toFixed(1)} KB received`
+            : "Analyzing...")}
+          {entry.status === "done" && (entry.incomplete ? `Incomplete: ${entry.incomplete.join(", ")}` : "Analyzed")}
+          {entry.status === "error" && <span className="text-red-500">{entry.error}</span>}
+        </p>
+      </div>
+      {(entry.status === "reading" || entry.status === "analyzing") && <Loader2 className="h-4 w-4 animate-spin text-amber-500" />}
+      {entry.status === "done" && (
+        <button onClick={() => onOpen(entry)} className="flex items-center gap-1 rounded-md px-2 py-1 text-xs text-zinc-500 hover:bg-zinc-100">
+          Report <ArrowRight className="h-3 w-3" />
+        </button>
+      )}
+      {!busy && (
+        <button onClick={() => onRemove(entry.id)} className="rounded-md p-1.5 text-zinc-300 hover:bg-zinc-100 hover:text-zinc-500 transition-colors">
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ComparisonMatrix({ entries }) {
+  const groups = buildComparison(entries.map((e) => e.analysis));
+  return (
+    <Card className="overflow-x-auto">
+      <table className="w-full min-w-[560px] text-left text-xs">
+        <thead>
+          <tr className="border-b border-zinc-100">
+            <th className="w-40 px-4 py-3" />
+            {entries.map((e) => (
+              <th key={e.id} className="px-3 py-3 font-medium text-zinc-800">
+                <span className="line-clamp-2">{e.file.name}</span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        {groups.map(({ group, rows }) => (
+          <tbody key={group}>
+            <tr>
+              <td colSpan={entries.length + 1} className="bg-zinc-50 px-4 py-2 text-[10px] font-semibold uppercase tracking-widest text-zinc-400">
+                {group}
+              </td>
+            </tr>
+            {rows.map((r) => (
+              <tr key={r.label} className="border-t border-zinc-100 align-top">
+                <td className="px-4 py-2.5 text-zinc-400">{r.label}</td>
+                {r.cells.map((c, i) => {
+                  const best = r.best.includes(i);
+                  return (
+                    <td key={i} className={`px-3 py-2.5 ${best ? "bg-emerald-50/60" : ""}`}>
+                      <span className={`flex items-start gap-1 ${c.status ? `capitalize ${STATUS_STYLES[c.status] || ""}` : "text-zinc-700"} ${best ? "font-semibold" : ""}`}>
+                        {best && <CheckCircle className="mt-px h-3 w-3 shrink-0 text-emerald-500" />}
+                        {c.text}
+                      </span>
+                      {c.sub && <span className="text-[10px] text-red-500">{c.sub}</span>}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+    </Card>
+  );
+}
+
+export default function ComparisonView({ profile, onOpen }) {
+  const [entries, setEntries] = useState([]);
+  const [running, setRunning] = useState(false);
+  const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const update = (id, patch) => setEntries((list) => list.map((e) => (e.id === id ? { ...e, ...patch } : e)));
+
+  const addFiles = (files) => {
+    const room = MAX_LEASES - entries.length;
+    const added = [...files].slice(0, room).map((file) => ({ id: nextId++, file, status: "reading" }));
+    setEntries((list) => [...list, ...added]);
+
+    added.forEach(async (entry) => {
+      try {
+        update(entry.id, { lease: await loadLease(entry.file), status: "ready" });
+      } catch (err) {
+        update(entry.id, { status: "error", error: err.message || "This file could not be read." });
+      }
+    });
+  };
+
+  // Leases are analyzed one after another to stay inside the proxy's rate limit.
+  const analyzeAll = async () => {
+    const pending = entries.filter((e) => e.status === "ready");
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    pending.forEach((e) => update(e.id, { status: "queued" }));
+
+    for (const entry of pending) {
+      if (controller.signal.aborted) {
+        update(entry.id, { status: "ready" });
+        continue;
+      }
+      update(entry.id, { status: "analyzing", progress: null });
+      try {
+        const analysis = await analyzeLease(entry.lease, {
+          signal: controller.signal,
+          profile,
+          onProgress: (progress) => update(entry.id, { progress }),
+        });
+        update(entry.id, { status: "done", analysis });
+      } catch (err) {
+        if (err.name === "AbortError") update(entry.id, { status: "ready" });
+        else if (err instanceof AnalysisError && err.partial) {
+          update(entry.id, { status: "done", analysis: err.partial, incomplete: err.sections });
+        } else update(entry.id, { status: "error", error: err.message || "Analysis failed" });
+      }
+    }
+
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const done = entries.filter((e) => e.status === "done");
+  const ready = entries.filter((e) => e.status === "ready").length;
+
+  return (
+    <div className="space-y-3">
+      <div className="anim-in pt-4 pb-2">
+        <h2 className="mb-1 text-xl font-semibold tracking-tight text-zinc-900">Compare leases</h2>
+        <p className="text-sm text-zinc-400">Upload 2–4 leases to see their terms side by side.</p>
+      </div>
+
+      <Card className="p-4 anim-in anim-d1">
+        {entries.map((e) => (
+          <LeaseRow
+            key={e.id}
+            entry={e}
+            busy={running}
+            onRemove={(id) => setEntries((list) => list.filter((x) => x.id !== id))}
+            onOpen={onOpen}
+          />
+        ))}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept=".pdf,.doc,.docx,.txt"
+          onChange={(e) => { addFiles(e.target.files); e.target.value = ""; }}
+          className="hidden"
+        />
+        <div className={`flex flex-wrap items-center gap-2 ${entries.length ? "mt-3 border-t border-zinc-100 pt-3" : ""}`}>
+          {entries.length < MAX_LEASES && !running && (
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+            >
+              <Plus className="h-3.5 w-3.5" />
+              Add lease{entries.length ? "" : "s"}
+            </button>
+          )}
+          {running ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="flex items-center gap-1.5 rounded-lg px-3 py-2 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+            >
+              <X className="h-3 w-3" />
+              Cancel
+            </button>
+          ) : (
+            <button
+              onClick={analyzeAll}
+              disabled={ready === 0 || entries.length < 2}
+              className="flex items-center gap-2 rounded-lg bg-zinc-900 px-4 py-2 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] disabled:opacity-50 shadow-sm"
+            >
+              <Sparkles className="h-3.5 w-3.5" />
+              Analyze {ready > 0 ? ready : ""} lease{ready === 1 ? "" : "s"}
+            </button>
+          )}
+          {entries.length < 2 && (
+            <span className="text-xs text-zinc-400">Add at least two leases to compare.</span>
+          )}
+        </div>
+      </Card>
+
+      {entries.some((e) => e.status === "error") && (
+        <p className="flex items-center gap-1.5 px-1 text-xs text-red-500">
+          <AlertCircle className="h-3.5 w-3.5" />
+          Remove or replace leases that could not be read or analyzed.
+        </p>
+      )}
+
+      {done.length >= 2 && (
+        <div className="anim-in space-y-2">
+          <div className="flex items-center gap-2 px-1">
+            <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Side by side</span>
+            <Badge variant="success">Better term highlighted</Badge>
+          </div>
+          <ComparisonMatrix entries={done} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import { useMemo, useState } from "react";
+import { Calculator, ChevronDown, RotateCcw } from "lucide-react";
+import { defaultAssumptions, projectCosts, renewalScenarios } from "../lib/occupancyCost.js";
+import { Card } from "./ui.jsx";
+
+/* ─── COST OF OCCUPANCY CALCULATOR ─── */
+
+const usd = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+const fmt = (n) => usd.format(Math.round(n || 0));
+
+const FREQUENCY_LABELS = { weekly: "/wk", monthly: "/mo", annual: "/yr", one_time: "once" };
+
+function NumberField({ label, value, onChange, prefix, suffix, step = 1 }) {
+  return (
+    <label className="block">
+      <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">{label}</span>
+      <span className="flex items-center rounded-lg border border-zinc-200 bg-white px-2.5 focus-within:border-zinc-400">
+        {prefix && <span className="text-xs text-zinc-400">{prefix}</span>}
+        <input
+          type="number"
+          min="0"
+          step={step}
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+          className="w-full bg-transparent px-1 py-1.5 text-sm text-zinc-800 outline-none"
+        />
+        {suffix && <span className="text-xs text-zinc-400">{suffix}</span>}
+      </span>
+    </label>
+  );
+}
+
+export default function CostCalculator({ costs }) {
+  const [open, setOpen] = useState(false);
+  const [showMonths, setShowMonths] = useState(false);
+  const initial = useMemo(() => defaultAssumptions(costs), [costs]);
+  const [a, setA] = useState(initial);
+
+  const projection = useMemo(() => projectCosts(a), [a]);
+  const scenarios = useMemo(() => renewalScenarios(a), [a]);
+  const set = (patch) => setA((prev) => ({ ...prev, ...patch }));
+  const setFee = (i, patch) => set({ fees: a.fees.map((f, j) => (j === i ? { ...f, ...patch } : f)) });
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-emerald-50 text-emerald-600">
+          <Calculator className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Total Cost of Occupancy</span>
+        <span className="text-xs tabular-nums text-zinc-400">{fmt(projection.total)}</span>
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3 space-y-4">
+          <div className="flex items-end justify-between gap-3">
+            <div>
+              <p className="text-2xl font-bold text-zinc-900 tabular-nums">{fmt(projection.total)}</p>
+              <p className="text-xs text-zinc-400">
+                over {projection.months.length} months · avg {fmt(projection.average)}/mo
+                {costs.deposit ? ` · ${fmt(costs.deposit)} deposit not included` : ""}
+              </p>
+            </div>
+            <button
+              onClick={() => setA(initial)}
+              className="flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+            >
+              <RotateCcw className="h-3 w-3" />
+              Reset
+            </button>
+          </div>
+
+          {/* Assumptions */}
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+            <NumberField label="Base rent" prefix="$" suffix="/mo" value={Math.round(a.baseRent)} onChange={(v) => set({ baseRent: v || 0 })} />
+            <label className="block">
+              <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">Escalation</span>
+              <select
+                value={a.escalationType}
+                onChange={(e) => set({ escalationType: e.target.value })}
+                className="w-full rounded-lg border border-zinc-200 bg-white px-2 py-[7px] text-sm text-zinc-800 outline-none focus:border-zinc-400"
+              >
+                <option value="none">None</option>
+                <option value="fixed_percent">Fixed %</option>
+                <option value="fixed_amount">Fixed $</option>
+                <option value="cpi">CPI</option>
+              </select>
+            </label>
+            {a.escalationType === "fixed_percent" && (
+              <NumberField label="Increase" suffix="%" step={0.5} value={a.escalationRate} onChange={(v) => set({ escalationRate: v })} />
+            )}
+            {a.escalationType === "fixed_amount" && (
+              <NumberField label="Increase" prefix="$" suffix="/mo" value={a.escalationRate} onChange={(v) => set({ escalationRate: v })} />
+            )}
+            {a.escalationType === "cpi" && (
+              <NumberField
+                label={a.cpiCap != null ? `CPI rate (cap ${a.cpiCap}%)` : "CPI rate"}
+                suffix="%"
+                step={0.5}
+                value={a.cpiRate}
+                onChange={(v) => set({ cpiRate: v })}
+              />
+            )}
+            {a.escalationType !== "none" && (
+              <NumberField label="Every" suffix="months" value={a.everyMonths} onChange={(v) => set({ everyMonths: v || 12 })} />
+            )}
+            <NumberField label="Initial term" suffix="months" value={a.termMonths} onChange={(v) => set({ termMonths: v || 0 })} />
+            {a.renewalOptions > 0 && (
+              <>
+                <label className="block">
+                  <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">Renewals</span>
+                  <select
+                    value={a.renewals}
+                    onChange={(e) => set({ renewals: Number(e.target.value) })}
+                    className="w-full rounded-lg border border-zinc-200 bg-white px-2 py-[7px] text-sm text-zinc-800 outline-none focus:border-zinc-400"
+                  >
+                    {scenarios.map((s) => (
+                      <option key={s.renewals} value={s.renewals}>
+                        {s.renewals === 0 ? "Initial term only" : `+${s.renewals} × ${a.renewalTermMonths} mo`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <NumberField label="Renewal increase" suffix="%" step={0.5} value={a.renewalIncrease} onChange={(v) => set({ renewalIncrease: v })} />
+              </>
+            )}
+          </div>
+
+          {/* Fees */}
+          {a.fees.length > 0 && (
+            <div>
+              <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Fees</p>
+              <div className="space-y-1.5">
+                {a.fees.map((f, i) => (
+                  <div key={i} className="flex items-center gap-2">
+                    <input type="checkbox" checked={f.included} onChange={() => setFee(i, { included: !f.included })} className="accent-zinc-900" />
+                    <span className={`flex-1 text-xs ${f.included ? "text-zinc-700" : "text-zinc-300 line-through"}`}>{f.name}</span>
+                    <span className="flex w-28 items-center rounded-md border border-zinc-200 px-1.5">
+                      <span className="text-[11px] text-zinc-400">$</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={f.amount}
+                        onChange={(e) => setFee(i, { amount: Number(e.target.value) || 0 })}
+                        className="w-full bg-transparent px-1 py-1 text-xs text-zinc-800 outline-none"
+                      />
+                    </span>
+                    <span className="w-9 text-[11px] text-zinc-400">{FREQUENCY_LABELS[f.frequency]}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Renewal scenarios */}
+          {scenarios.length > 1 && (
+            <div>
+              <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Renewal scenarios</p>
+              {scenarios.map((s) => (
+                <div key={s.renewals} className={`flex items-center justify-between py-1 text-xs ${s.renewals === a.renewals ? "font-semibold text-zinc-800" : "text-zinc-500"}`}>
+                  <span>{s.renewals === 0 ? "Initial term only" : `With ${s.renewals} renewal${s.renewals > 1 ? "s" : ""}`} · {s.months} months</span>
+                  <span className="tabular-nums">{fmt(s.total)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Year by year */}
+          <div>
+            <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Year by year</p>
+            <table className="w-full text-xs tabular-nums">
+              <thead>
+                <tr className="text-left text-[10px] text-zinc-400">
+                  <th className="py-1 font-normal">Year</th>
+                  <th className="py-1 text-right font-normal">Rent</th>
+                  <th className="py-1 text-right font-normal">Fees</th>
+                  <th className="py-1 text-right font-normal">One-time</th>
+                  <th className="py-1 text-right font-normal">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {projection.years.map((y) => (
+                  <tr key={y.year} className="border-t border-zinc-100 text-zinc-600">
+                    <td className="py-1.5">{y.year}{y.months < 12 ? ` (${y.months} mo)` : ""}</td>
+                    <td className="py-1.5 text-right">{fmt(y.rent)}</td>
+                    <td className="py-1.5 text-right">{fmt(y.fees)}</td>
+                    <td className="py-1.5 text-right">{y.oneTime ? fmt(y.oneTime) : "—"}</td>
+                    <td className="py-1.5 text-right font-medium text-zinc-800">{fmt(y.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Month by month */}
+          <div>
+            <button onClick={() => setShowMonths(!showMonths)} className="flex items-center gap-1 text-xs text-zinc-400 hover:text-zinc-600">
+              <ChevronDown className={`h-3 w-3 transition-transform ${showMonths ? "rotate-180" : ""}`} />
+              {showMonths ? "Hide" : "Show"} month by month
+            </button>
+            {showMonths && (
+              <div className="mt-2 max-h-64 overflow-y-auto rounded-lg border border-zinc-100">
+                <table className="w-full text-xs tabular-nums">
+                  <tbody>
+                    {projection.months.map((m) => (
+                      <tr key={m.month} className="border-b border-zinc-50 text-zinc-600 last:border-0">
+                        <td className="px-3 py-1">Month {m.month}{m.period > 0 ? ` · renewal ${m.period}` : ""}</td>
+                        <td className="px-3 py-1 text-right">{fmt(m.rent)}</td>
+                        <td className="px-3 py-1 text-right font-medium text-zinc-800">{fmt(m.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
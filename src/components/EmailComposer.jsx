@@ -0,0 +1,241 @@
+import { useMemo, useState } from "react";
+import {
+  ArrowDown, ArrowUp, Check, ChevronDown, Copy, Download, Loader2, Mail, Reply, RotateCcw, Send, Sparkles,
+} from "lucide-react";
+import { describeError } from "../lib/errorMessages.js";
+import { NEGOTIATION_STATUSES, negotiationStarted } from "../lib/negotiation.js";
+import { downloadBlob } from "../lib/reportPdf.js";
+import {
+  EMAIL_RECIPIENTS, EMAIL_TONES, MAILTO_MAX_LENGTH,
+  buildEml, draftEmail, emailCandidates, emlFileName, joinEmail, mailtoLink, splitEmail,
+} from "../lib/emailDraft.js";
+import { Card, Segmented } from "./ui.jsx";
+
+/* ─── EMAIL COMPOSER ─── */
+
+const KIND_STYLES = {
+  red_flags: { label: "Red flag", className: "bg-red-50 text-red-600" },
+  attention: { label: "Clarify", className: "bg-amber-50 text-amber-600" },
+  missing: { label: "Missing", className: "bg-violet-50 text-violet-600" },
+};
+
+const STATUS_LABELS = Object.fromEntries(NEGOTIATION_STATUSES.map((s) => [s.value, s.label]));
+
+// The drafted email lives with the report so it can be included in the PDF.
+// `order` holds the ids of the selected items in the order the email raises them.
+export default function EmailComposer({ analysis, negotiation, redaction, emailText, setEmailText, fileName }) {
+  const candidates = useMemo(() => emailCandidates(analysis, negotiation), [analysis, negotiation]);
+  const [order, setOrder] = useState(() => candidates.filter((c) => c.kind === "red_flags").map((c) => c.id));
+  const [recipient, setRecipient] = useState("realtor");
+  const [tone, setTone] = useState("collaborative");
+  const [to, setTo] = useState("");
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  const byId = new Map(candidates.map((c) => [c.id, c]));
+  const selected = order.map((id) => byId.get(id)).filter(Boolean);
+  const unselected = candidates.filter((c) => !order.includes(c.id));
+  // Issues the negotiation tracker has moving, but not yet resolved.
+  const followUps = negotiationStarted(negotiation) ? candidates.filter((c) => c.open) : [];
+
+  const toggle = (id) => setOrder(order.includes(id) ? order.filter((x) => x !== id) : [...order, id]);
+  const move = (i, step) => {
+    const next = [...order];
+    [next[i], next[i + step]] = [next[i + step], next[i]];
+    setOrder(next);
+  };
+
+  const generateEmail = async () => {
+    setGenerating(true);
+    setError(null);
+    setEmailText("");
+    try {
+      setEmailText(await draftEmail(selected, { recipient, tone, redaction }));
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const { subject, body } = splitEmail(emailText);
+  const email = { to: to.trim(), subject, body };
+  const mailto = emailText ? mailtoLink(email) : "";
+
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(emailText);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const row = (item, index) => {
+    const kind = KIND_STYLES[item.kind];
+    const checked = index !== undefined;
+    return (
+      <div key={item.id} className="flex items-center gap-2 py-1">
+        <input type="checkbox" checked={checked} onChange={() => toggle(item.id)} className="accent-zinc-900" />
+        {checked && <span className="w-4 text-right text-xs font-semibold tabular-nums text-zinc-500">{index + 1}.</span>}
+        <span className={`shrink-0 rounded px-1.5 py-0.5 text-[10px] font-semibold ${kind.className}`}>{kind.label}</span>
+        <span className={`min-w-0 flex-1 truncate text-sm ${checked ? "text-zinc-700" : "text-zinc-400"}`}>
+          {item.title}
+          {item.section && <span className="text-xs text-zinc-400"> · Section {item.section}</span>}
+        </span>
+        {item.status !== "not_raised" && <span className="shrink-0 text-[10px] text-zinc-400">{STATUS_LABELS[item.status]}</span>}
+        {checked && (
+          <span className="flex shrink-0">
+            <button
+              onClick={() => move(index, -1)}
+              disabled={index === 0}
+              aria-label="Move up"
+              className="rounded p-1 text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600 disabled:opacity-30"
+            >
+              <ArrowUp className="h-3 w-3" />
+            </button>
+            <button
+              onClick={() => move(index, 1)}
+              disabled={index === selected.length - 1}
+              aria-label="Move down"
+              className="rounded p-1 text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600 disabled:opacity-30"
+            >
+              <ArrowDown className="h-3 w-3" />
+            </button>
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-blue-50 text-blue-600">
+          <Mail className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Draft Email</span>
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3">
+          <div className="mb-4 grid gap-3 sm:grid-cols-2">
+            <div>
+              <p className="mb-1.5 text-[10px] font-semibold uppercase tracking-wider text-zinc-400">To</p>
+              <Segmented options={EMAIL_RECIPIENTS} value={recipient} onChange={setRecipient} />
+            </div>
+            <div>
+              <p className="mb-1.5 text-[10px] font-semibold uppercase tracking-wider text-zinc-400">Tone</p>
+              <Segmented options={EMAIL_TONES} value={tone} onChange={setTone} />
+            </div>
+          </div>
+
+          <div className="mb-1.5 flex items-center justify-between gap-2">
+            <p className="text-xs text-zinc-400">Choose the points to raise and the order to raise them in:</p>
+            {followUps.length > 0 && (
+              <button
+                onClick={() => setOrder(followUps.map((c) => c.id))}
+                className="flex shrink-0 items-center gap-1 rounded-md px-2 py-1 text-[11px] font-medium text-blue-600 transition-colors hover:bg-blue-50"
+              >
+                <Reply className="h-3 w-3" />
+                Follow up on {followUps.length} open
+              </button>
+            )}
+          </div>
+          <div className="mb-4 divide-y divide-zinc-50">
+            {selected.map((item, i) => row(item, i))}
+            {unselected.map((item) => row(item))}
+          </div>
+
+          {!emailText && (
+            <button
+              onClick={generateEmail}
+              disabled={generating || selected.length === 0}
+              className="flex items-center gap-2 rounded-lg bg-zinc-900 px-4 py-2.5 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] disabled:opacity-50 shadow-sm"
+            >
+              {generating ? (
+                <>
+                  <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                  Drafting email...
+                </>
+              ) : (
+                <>
+                  <Sparkles className="h-3.5 w-3.5" />
+                  Generate Email ({selected.length})
+                </>
+              )}
+            </button>
+          )}
+
+          {error && (
+            <p className="mt-3 rounded-lg bg-red-50 px-3 py-2 text-xs text-red-600">
+              <span className="font-medium">{error.title}.</span> {error.message}
+            </p>
+          )}
+
+          {emailText && (
+            <div className="mt-2">
+              <div className="rounded-lg border border-zinc-200 bg-zinc-50">
+                <div className="flex items-center gap-2 border-b border-zinc-200 px-4 py-2">
+                  <span className="text-xs font-medium text-zinc-400">Subject</span>
+                  <input
+                    value={subject}
+                    onChange={(e) => setEmailText(joinEmail({ subject: e.target.value, body }))}
+                    className="min-w-0 flex-1 bg-transparent text-sm font-medium text-zinc-800 outline-none"
+                  />
+                </div>
+                <textarea
+                  value={body}
+                  onChange={(e) => setEmailText(joinEmail({ subject, body: e.target.value }))}
+                  rows={Math.min(18, Math.max(6, body.split("\n").length + 1))}
+                  className="w-full resize-y bg-transparent px-4 py-3 text-sm leading-relaxed text-zinc-700 outline-none"
+                />
+              </div>
+              <input
+                type="email"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                placeholder="Recipient's email address (optional)"
+                className="mt-3 w-full rounded-lg border border-zinc-200 bg-white px-3 py-2 text-sm text-zinc-800 outline-none placeholder:text-zinc-300 focus:border-zinc-400"
+              />
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <button
+                  onClick={copyToClipboard}
+                  className="flex items-center gap-1.5 rounded-lg bg-zinc-900 px-4 py-2 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] shadow-sm"
+                >
+                  {copied ? <Check className="h-3.5 w-3.5" /> : <Copy className="h-3.5 w-3.5" />}
+                  {copied ? "Copied!" : "Copy Email"}
+                </button>
+                <a
+                  href={mailto}
+                  title={mailto.length > MAILTO_MAX_LENGTH ? "Long emails may be cut off by some mail apps; download the .eml instead" : undefined}
+                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+                >
+                  <Send className="h-3 w-3" />
+                  Open in Mail
+                </a>
+                <button
+                  onClick={() => downloadBlob(buildEml(email), emlFileName(fileName))}
+                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+                >
+                  <Download className="h-3 w-3" />
+                  Download .eml
+                </button>
+                <button
+                  onClick={() => setEmailText("")}
+                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  Regenerate
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
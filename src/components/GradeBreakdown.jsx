@@ -0,0 +1,91 @@
+import { useMemo, useState } from "react";
+import { ChevronDown, HelpCircle } from "lucide-react";
+import { GRADE_BANDS, scoreLease } from "../lib/grading.js";
+import { GRADE_CONFIG } from "./ui.jsx";
+
+/* ─── GRADE BREAKDOWN ─── */
+
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+function bandRange(band, i) {
+  const upper = i === 0 ? 100 : GRADE_BANDS[i - 1].min - 1;
+  return band.min === 0 ? `under ${GRADE_BANDS[i - 1].min}` : `${band.min}–${upper}`;
+}
+
+// "How was this graded?": each finding's contribution to the computed score,
+// with the model's own letter shown only for reference.
+export default function GradeBreakdown({ analysis }) {
+  const [open, setOpen] = useState(false);
+  const scored = useMemo(() => scoreLease(analysis, analysis.grade_weights), [analysis]);
+  if (!scored) return null;
+
+  const modelGrade = analysis.model_grade;
+  return (
+    <div className="mt-3 border-t border-zinc-100 pt-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1.5 text-[11px] font-medium text-zinc-400 transition-colors hover:text-zinc-600"
+      >
+        <HelpCircle className="h-3 w-3" />
+        How was this graded?
+        <ChevronDown className={`h-3 w-3 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="anim-in mt-3 space-y-3">
+          <table className="w-full text-xs">
+            <tbody className="divide-y divide-zinc-50">
+              <tr>
+                <td className="py-1.5 text-zinc-500">Starting score</td>
+                <td />
+                <td className="py-1.5 text-right font-medium tabular-nums text-zinc-700">{scored.base}</td>
+              </tr>
+              {scored.items.map((item) => (
+                <tr key={item.key}>
+                  <td className="py-1.5 text-zinc-500">{item.label}</td>
+                  <td className="py-1.5 text-right tabular-nums text-zinc-400">
+                    {item.count} × {signed(item.weight)}
+                    {item.points !== item.count * item.weight && " (capped)"}
+                  </td>
+                  <td className={`py-1.5 text-right font-medium tabular-nums ${
+                    item.points < 0 ? "text-red-600" : item.points > 0 ? "text-emerald-600" : "text-zinc-400"
+                  }`}
+                  >
+                    {signed(item.points)}
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-1.5 font-semibold text-zinc-800">Score</td>
+                <td />
+                <td className="py-1.5 text-right font-semibold tabular-nums text-zinc-800">{scored.score} / 100</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap gap-1.5">
+            {GRADE_BANDS.map((band, i) => {
+              const gc = GRADE_CONFIG[band.grade];
+              const current = band.grade === scored.grade;
+              return (
+                <span
+                  key={band.grade}
+                  className={`rounded-md border px-2 py-0.5 text-[11px] tabular-nums ${
+                    current ? `${gc.border} ${gc.bg} ${gc.text} font-semibold` : "border-zinc-100 text-zinc-400"
+                  }`}
+                >
+                  {band.grade} · {bandRange(band, i)}
+                </span>
+              );
+            })}
+          </div>
+
+          <p className="text-[11px] leading-relaxed text-zinc-400">
+            The grade is computed from the findings above, so the same findings always get the same grade.
+            {modelGrade && ` For reference, the AI reviewer's own overall read was ${modelGrade}.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
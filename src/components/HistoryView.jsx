@@ -0,0 +1,173 @@
+import { useEffect, useState } from "react";
+import { ArrowLeft, Check, Clock, Loader2, Pencil, Search, Trash2, X } from "lucide-react";
+import { deleteReport, listReports, updateReport } from "../lib/history.js";
+import { Card, GRADE_CONFIG } from "./ui.jsx";
+
+/* ─── REPORT HISTORY ─── */
+
+const formatDate = (ts) =>
+  new Date(ts).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+function HistoryRow({ report, onOpen, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(report.name);
+  const [confirming, setConfirming] = useState(false);
+  const gc = GRADE_CONFIG[report.grade] || GRADE_CONFIG.C;
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== report.name) onRename(trimmed);
+    else setName(report.name);
+    setEditing(false);
+  };
+
+  return (
+    <Card className="flex items-center gap-3 p-3">
+      <button
+        onClick={onOpen}
+        className={`flex h-10 w-10 shrink-0 items-center justify-center rounded-lg border text-base font-bold ${gc.border} ${gc.bg} ${gc.text}`}
+      >
+        {report.grade || "?"}
+      </button>
+
+      <div className="min-w-0 flex-1">
+        {editing ? (
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={save}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") save();
+              if (e.key === "Escape") { setName(report.name); setEditing(false); }
+            }}
+            className="w-full rounded-md border border-zinc-300 px-2 py-0.5 text-sm text-zinc-800 outline-none"
+          />
+        ) : (
+          <button onClick={onOpen} className="block max-w-full truncate text-left text-sm font-medium text-zinc-800 hover:underline">
+            {report.name}
+          </button>
+        )}
+        <p className="truncate text-xs text-zinc-400">
+          {formatDate(report.createdAt)} · {report.fileName}
+        </p>
+      </div>
+
+      {confirming ? (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={onDelete}
+            className="rounded-lg bg-red-50 px-2.5 py-1 text-xs font-medium text-red-600 transition-colors hover:bg-red-100"
+          >
+            Delete
+          </button>
+          <button onClick={() => setConfirming(false)} className="rounded-md p-1.5 text-zinc-300 hover:bg-zinc-100 hover:text-zinc-500">
+            <X className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-0.5">
+          <button
+            onClick={() => (editing ? save() : setEditing(true))}
+            title="Rename"
+            className="rounded-md p-1.5 text-zinc-300 transition-colors hover:bg-zinc-100 hover:text-zinc-500"
+          >
+            {editing ? <Check className="h-3.5 w-3.5" /> : <Pencil className="h-3.5 w-3.5" />}
+          </button>
+          <button
+            onClick={() => setConfirming(true)}
+            title="Delete"
+            className="rounded-md p-1.5 text-zinc-300 transition-colors hover:bg-zinc-100 hover:text-red-500"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default function HistoryView({ onOpen, onClose, onDeleted }) {
+  const [reports, setReports] = useState(null);
+  const [query, setQuery] = useState("");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listReports().then(setReports, (err) => setError(err.message || "Saved reports couldn't be loaded."));
+  }, []);
+
+  const rename = async (id, name) => {
+    setReports((list) => list.map((r) => (r.id === id ? { ...r, name } : r)));
+    await updateReport(id, { name }).catch((err) => setError(err.message));
+  };
+
+  const remove = async (id) => {
+    setReports((list) => list.filter((r) => r.id !== id));
+    await deleteReport(id).catch((err) => setError(err.message));
+    onDeleted?.(id);
+  };
+
+  const q = query.trim().toLowerCase();
+  const shown = (reports || []).filter((r) =>
+    !q || [r.name, r.fileName, r.summary, r.grade && `grade ${r.grade}`].some((v) => v?.toLowerCase().includes(q)),
+  );
+
+  return (
+    <div className="anim-in space-y-3">
+      <button
+        onClick={onClose}
+        className="flex items-center gap-1.5 rounded-lg px-2 py-1 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+      >
+        <ArrowLeft className="h-3 w-3" />
+        Back
+      </button>
+
+      <div>
+        <h2 className="text-xl font-semibold tracking-tight text-zinc-900">Saved reports</h2>
+        <p className="text-sm text-zinc-400">Stored in this browser only. Reopening a report doesn't run a new analysis.</p>
+      </div>
+
+      <div className="flex items-center gap-2 rounded-xl border border-zinc-200 bg-white px-3 shadow-sm focus-within:border-zinc-400">
+        <Search className="h-4 w-4 text-zinc-300" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name, file or grade"
+          className="w-full bg-transparent py-2.5 text-sm text-zinc-800 outline-none placeholder:text-zinc-300"
+        />
+      </div>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      {!reports && !error && (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-5 w-5 animate-spin text-zinc-300" />
+        </div>
+      )}
+
+      {reports?.length === 0 && (
+        <div className="flex flex-col items-center py-16 text-center">
+          <Clock className="mb-3 h-6 w-6 text-zinc-300" />
+          <p className="text-sm text-zinc-500">No saved reports yet.</p>
+          <p className="text-xs text-zinc-400">Every analysis you run is saved here automatically.</p>
+        </div>
+      )}
+
+      {reports?.length > 0 && shown.length === 0 && (
+        <p className="py-8 text-center text-xs text-zinc-400">No reports match "{query}".</p>
+      )}
+
+      <div className="space-y-2">
+        {shown.map((r) => (
+          <HistoryRow
+            key={r.id}
+            report={r}
+            onOpen={() => onOpen(r.id)}
+            onRename={(name) => rename(r.id, name)}
+            onDelete={() => remove(r.id)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
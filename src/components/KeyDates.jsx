@@ -0,0 +1,124 @@
+import { useMemo, useState } from "react";
+import { CalendarClock, ChevronDown, Download } from "lucide-react";
+import { KEY_DATE_LABELS, buildIcs, daysUntil, formatDay, icsFileName, resolveKeyDates } from "../lib/keyDates.js";
+import { downloadBlob } from "../lib/reportPdf.js";
+import { Card } from "./ui.jsx";
+
+/* ─── KEY DATES TIMELINE ─── */
+
+const DOT_COLORS = {
+  commencement: "bg-emerald-500",
+  expiration: "bg-zinc-800",
+  escalation: "bg-amber-500",
+  renewal_notice: "bg-red-500",
+  termination_window: "bg-violet-500",
+  other: "bg-zinc-400",
+};
+
+const longDate = new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+
+function relative(days) {
+  if (days === 0) return "today";
+  if (days < 0) return "passed";
+  if (days < 60) return `in ${days} ${days === 1 ? "day" : "days"}`;
+  return `in ${Math.round(days / 30.4)} months`;
+}
+
+export default function KeyDates({ analysis, fileName }) {
+  const [open, setOpen] = useState(false);
+  const [commencement, setCommencement] = useState("");
+  const resolved = useMemo(
+    () => resolveKeyDates(analysis, { commencement: commencement || undefined }),
+    [analysis, commencement],
+  );
+  const { events, undated } = resolved;
+  const next = events.find((e) => e.reminders.length > 1 && daysUntil(e.date) >= 0);
+
+  const download = () => {
+    const name = (fileName || "Lease").replace(/\.[^.]+$/, "");
+    const ics = buildIcs(events, { name });
+    downloadBlob(new Blob([ics], { type: "text/calendar;charset=utf-8" }), icsFileName(fileName));
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-sky-50 text-sky-600">
+          <CalendarClock className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Key Dates</span>
+        <span className="text-xs text-zinc-400">
+          {next ? `${next.label} ${relative(daysUntil(next.date))}` : `${events.length + undated.length} dates`}
+        </span>
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3 space-y-4">
+          <div className="flex flex-wrap items-end justify-between gap-3">
+            <label className="block">
+              <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">Commencement date</span>
+              <input
+                type="date"
+                value={commencement || (resolved.commencement !== null ? formatDay(resolved.commencement) : "")}
+                onChange={(e) => setCommencement(e.target.value)}
+                className="rounded-lg border border-zinc-200 bg-white px-2.5 py-1.5 text-sm text-zinc-800 outline-none focus:border-zinc-400"
+              />
+            </label>
+            <button
+              onClick={download}
+              disabled={events.length === 0}
+              className="flex items-center gap-1.5 rounded-lg bg-zinc-900 px-3 py-1.5 text-xs font-medium text-white transition-colors hover:bg-zinc-800 disabled:opacity-40"
+            >
+              <Download className="h-3 w-3" />
+              Add to calendar (.ics)
+            </button>
+          </div>
+
+          {resolved.commencement === null && (
+            <p className="text-xs leading-relaxed text-zinc-400">
+              The lease doesn't state its start date. Enter the commencement date to place its deadlines on the calendar.
+            </p>
+          )}
+
+          {events.length > 0 && (
+            <ol className="relative ml-1.5 border-l border-zinc-100">
+              {events.map((e) => {
+                const days = daysUntil(e.date);
+                return (
+                  <li key={e.id} className={`relative pb-3 pl-4 last:pb-0 ${days < 0 ? "opacity-50" : ""}`}>
+                    <span className={`absolute -left-[5px] top-1.5 h-2.5 w-2.5 rounded-full ring-2 ring-white ${DOT_COLORS[e.type] || DOT_COLORS.other}`} />
+                    <div className="flex items-baseline justify-between gap-3">
+                      <span className="text-sm font-medium text-zinc-800">{e.label}</span>
+                      <span className="shrink-0 text-xs tabular-nums text-zinc-500">{longDate.format(e.date)}</span>
+                    </div>
+                    <p className="text-[11px] text-zinc-400">
+                      {KEY_DATE_LABELS[e.type] || KEY_DATE_LABELS.other}
+                      {e.section && ` · Section ${e.section}`}
+                      {` · ${relative(days)}`}
+                      {days >= 0 && ` · reminders ${e.reminders.map((r) => `${r}d`).join(" & ")} before`}
+                    </p>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          {undated.length > 0 && (
+            <div>
+              <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Needs a start date</p>
+              {undated.map((k, i) => (
+                <p key={i} className="py-0.5 text-xs text-zinc-500">
+                  • {k.label}{k.section && <span className="text-zinc-400"> · Section {k.section}</span>}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,188 @@
+import { useEffect, useRef, useState } from "react";
+import { AlertCircle, ChevronDown, Loader2, MessagesSquare, Send, Trash2 } from "lucide-react";
+import { askLease } from "../lib/leaseChat.js";
+import { describeError } from "../lib/errorMessages.js";
+import { Card } from "./ui.jsx";
+
+/* ─── LEASE Q&A ─── */
+
+const SUGGESTIONS = [
+  "Can I sublease a chair to another stylist?",
+  "Who pays if the water heater breaks?",
+  "What happens if I pay rent late?",
+  "Can I leave early if my business closes?",
+];
+
+function Citations({ citations }) {
+  return (
+    <div className="mt-2 space-y-1">
+      {citations.map((c, i) => (
+        <p key={i} className="border-l-2 border-violet-200 pl-2 text-[11px] leading-relaxed text-zinc-500">
+          {c.section && <span className="font-medium text-violet-600">Section {c.section}</span>}
+          {c.section && c.quote && " · "}
+          {c.quote && <span className="italic">&ldquo;{c.quote}&rdquo;</span>}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+function Answer({ message }) {
+  return (
+    <div className="max-w-[90%] rounded-xl rounded-tl-sm bg-zinc-50 px-3 py-2">
+      <p className="whitespace-pre-wrap text-sm leading-relaxed text-zinc-700">{message.text}</p>
+      {message.citations?.length > 0 && <Citations citations={message.citations} />}
+      {message.notInLease && (
+        <p className="mt-1.5 text-[11px] text-amber-600">The lease doesn't address this. Worth asking the landlord.</p>
+      )}
+      {message.uncited && (
+        <p className="mt-1.5 text-[11px] text-amber-600">No citation was given for this answer. Check it against the lease.</p>
+      )}
+    </div>
+  );
+}
+
+// A chat about the lease, answered from the document and the report. The
+// conversation lives in `chat` so the parent can save it with the report.
+export default function LeaseChat({ lease, analysis, chat, setChat }) {
+  const [open, setOpen] = useState(chat.length > 0);
+  const [question, setQuestion] = useState("");
+  const [pending, setPending] = useState(null); // the answer streaming in
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+  // Keeps the latest message in view without scrolling the page.
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [chat, pending, open]);
+
+  const ask = async (text, base = chat) => {
+    const q = text.trim();
+    if (!q || pending !== null) return;
+    const asked = { role: "user", text: q, at: Date.now() };
+    setChat([...base, asked]);
+    setQuestion("");
+    setError(null);
+    setPending("");
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const reply = await askLease(lease, analysis, base, q, { signal: controller.signal, onText: setPending });
+      setChat([...base, asked, reply]);
+    } catch (err) {
+      // Aborted when the report closes; the chat belongs to that report.
+      if (err.name === "AbortError") return;
+      setChat([...base, { ...asked, failed: true }]);
+      setError(describeError(err));
+    } finally {
+      abortRef.current = null;
+      setPending(null);
+    }
+  };
+
+  const retry = (message) => ask(message.text, chat.filter((m) => m !== message));
+  const questions = chat.filter((m) => m.role === "user").length;
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-violet-50 text-violet-600">
+          <MessagesSquare className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Ask About This Lease</span>
+        {questions > 0 && <span className="text-xs text-zinc-400">{questions} {questions === 1 ? "question" : "questions"}</span>}
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3">
+          {chat.length === 0 && pending === null && (
+            <div className="mb-3">
+              <p className="mb-2 text-xs text-zinc-400">Answers come from your lease, with the section they rely on.</p>
+              <div className="flex flex-wrap gap-1.5">
+                {SUGGESTIONS.map((s) => (
+                  <button
+                    key={s}
+                    onClick={() => ask(s)}
+                    className="rounded-full border border-zinc-200 bg-white px-2.5 py-1 text-xs text-zinc-500 transition-colors hover:border-violet-200 hover:bg-violet-50 hover:text-violet-700"
+                  >
+                    {s}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {(chat.length > 0 || pending !== null) && (
+            <div ref={listRef} className="mb-3 max-h-96 space-y-3 overflow-y-auto">
+              {chat.map((m, i) => (m.role === "user" ? (
+                <div key={i} className="flex flex-col items-end">
+                  <p className={`max-w-[85%] rounded-xl rounded-tr-sm px-3 py-2 text-sm ${m.failed ? "bg-red-50 text-red-700" : "bg-zinc-900 text-white"}`}>
+                    {m.text}
+                  </p>
+                  {m.failed && i === chat.length - 1 && pending === null && (
+                    <div className="mt-1 flex items-center gap-2 text-[11px] text-red-500">
+                      <AlertCircle className="h-3 w-3" />
+                      <span>{error ? `${error.title}.` : "No answer."}</span>
+                      <button onClick={() => retry(m)} className="font-medium underline underline-offset-2">Try again</button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <Answer key={i} message={m} />
+              )))}
+              {pending !== null && (
+                <div className="max-w-[90%] rounded-xl rounded-tl-sm bg-zinc-50 px-3 py-2">
+                  {pending
+                    ? <p className="whitespace-pre-wrap text-sm leading-relaxed text-zinc-700">{pending}</p>
+                    : <Loader2 className="h-4 w-4 animate-spin text-zinc-400" />}
+                </div>
+              )}
+            </div>
+          )}
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              ask(question);
+            }}
+            className="flex items-center gap-2"
+          >
+            <input
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              maxLength={1000}
+              placeholder="Ask a question about your lease"
+              className="min-w-0 flex-1 rounded-lg border border-zinc-200 bg-white px-3 py-2 text-sm text-zinc-800 outline-none placeholder:text-zinc-300 focus:border-zinc-400"
+            />
+            <button
+              type="submit"
+              disabled={!question.trim() || pending !== null}
+              className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg bg-zinc-900 text-white transition-colors hover:bg-zinc-800 disabled:opacity-40"
+              aria-label="Send"
+            >
+              <Send className="h-3.5 w-3.5" />
+            </button>
+            {chat.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setChat([])}
+                disabled={pending !== null}
+                title="Clear the conversation"
+                className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600 disabled:opacity-40"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            )}
+          </form>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,85 @@
+import { useEffect, useMemo, useRef } from "react";
+import { FileText, X } from "lucide-react";
+import { HIGHLIGHT_KINDS, segmentText } from "../lib/locateClause.js";
+
+/* ─── LEASE VIEWER ─── */
+
+const HIGHLIGHT_STYLES = {
+  red: { mark: "bg-red-100", active: "bg-red-200 ring-2 ring-red-400", dot: "bg-red-500", label: "Red flags" },
+  amber: { mark: "bg-amber-100", active: "bg-amber-200 ring-2 ring-amber-400", dot: "bg-amber-500", label: "Clarify" },
+  green: { mark: "bg-emerald-100", active: "bg-emerald-200 ring-2 ring-emerald-400", dot: "bg-emerald-500", label: "Protections" },
+};
+
+// The lease text with every located flag highlighted. `active` is
+// { key, n }; a new `n` scrolls to the item again even if the key is the same.
+export default function LeaseViewer({ text, located, active, fileName, onClose }) {
+  const scrollRef = useRef(null);
+  const segments = useMemo(() => segmentText(text, located), [text, located]);
+  const target = active && located.get(active.key);
+
+  useEffect(() => {
+    if (!target) return;
+    const container = scrollRef.current;
+    const el = container?.querySelector(`[data-start="${target.start}"]`);
+    if (el) container.scrollTo({ top: el.offsetTop - container.clientHeight / 3, behavior: "smooth" });
+  }, [active, target]);
+
+  const counts = HIGHLIGHT_KINDS.map(({ color }) => [color, [...located.values()].filter((l) => l.color === color).length]);
+
+  return (
+    <div className="flex h-full flex-col">
+      <div className="flex items-center gap-2 border-b border-zinc-100 px-4 py-3">
+        <FileText className="h-4 w-4 shrink-0 text-zinc-400" />
+        <span className="min-w-0 flex-1 truncate text-xs font-medium text-zinc-700">{fileName}</span>
+        <button onClick={onClose} className="rounded-md p-1 text-zinc-300 transition-colors hover:bg-zinc-100 hover:text-zinc-500">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 border-b border-zinc-100 px-4 py-2">
+        {counts.map(([color, count]) => (
+          <span key={color} className="flex items-center gap-1.5 text-[11px] text-zinc-400">
+            <span className={`h-1.5 w-1.5 rounded-full ${HIGHLIGHT_STYLES[color].dot}`} />
+            {HIGHLIGHT_STYLES[color].label} · {count}
+          </span>
+        ))}
+      </div>
+
+      {active && !target && (
+        <p className="border-b border-amber-100 bg-amber-50 px-4 py-2 text-[11px] text-amber-700">
+          This item couldn't be matched to a passage in the lease text.
+        </p>
+      )}
+      {target?.match === "fuzzy" && (
+        <p className="border-b border-zinc-100 bg-zinc-50 px-4 py-2 text-[11px] text-zinc-500">
+          The quote differs slightly from the lease; this is the closest passage.
+        </p>
+      )}
+      {target?.match === "section" && (
+        <p className="border-b border-zinc-100 bg-zinc-50 px-4 py-2 text-[11px] text-zinc-500">
+          The exact wording wasn't found, so this jumps to the start of the referenced section.
+        </p>
+      )}
+
+      <div ref={scrollRef} className="relative flex-1 overflow-y-auto px-4 py-3">
+        <p className="whitespace-pre-wrap font-serif text-[13px] leading-relaxed text-zinc-700">
+          {segments.map((seg) => {
+            if (!seg.highlights.length) return <span key={seg.start} data-start={seg.start}>{seg.text}</span>;
+            const isActive = target && seg.highlights.includes(target);
+            const style = HIGHLIGHT_STYLES[(isActive ? target : seg.highlights[0]).color];
+            return (
+              <mark
+                key={seg.start}
+                data-start={seg.start}
+                title={seg.highlights.map((h) => h.title).join("\n")}
+                className={`rounded-sm text-inherit transition-colors ${isActive ? style.active : style.mark}`}
+              >
+                {seg.text}
+              </mark>
+            );
+          })}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useEffect, useMemo, useState } from "react";
+import { BarChart3 } from "lucide-react";
+import { COMPARABLES, EXAMPLE_DATA } from "../lib/comparablesData.js";
+import { OUTLIER_PERCENTILE, formatPercentile, metrosOf } from "../lib/marketBenchmark.js";
+import { Badge, Card } from "./ui.jsx";
+
+/* ─── MARKET BENCHMARK ─── */
+
+const usd = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+
+const METRICS = {
+  rent: { label: "Rent", format: (n) => `${usd.format(n)}/mo` },
+  deposit: { label: "Deposit", format: (n) => `${Math.round(n * 10) / 10} mo rent` },
+  escalation: { label: "Escalation", format: (n) => `${Math.round(n * 10) / 10}%/yr` },
+};
+
+function PercentileBar({ percentile }) {
+  const color = percentile >= OUTLIER_PERCENTILE ? "bg-red-500" : percentile >= 75 ? "bg-amber-500" : "bg-emerald-500";
+  return (
+    <div className="relative h-1.5 rounded-full bg-zinc-100">
+      <div className="absolute inset-y-0 left-1/2 w-px bg-zinc-300" title="Local median" />
+      <div
+        className={`absolute top-1/2 h-2.5 w-2.5 -translate-x-1/2 -translate-y-1/2 rounded-full ring-2 ring-white ${color}`}
+        style={{ left: `${percentile}%` }}
+      />
+    </div>
+  );
+}
+
+// Where the lease's rent, deposit, escalation and fees fall among comparable
+// suites in the tenant's metro. Changing the market ({ metro, sqft }) re-benchmarks
+// the report (`onChange(market)`), which replaces the market red flags and
+// priorities. The suite size is applied when the field loses focus or on
+// Enter, not on every keystroke.
+export default function MarketBenchmark({ analysis, market, onChange }) {
+  const metros = useMemo(() => metrosOf(COMPARABLES), []);
+  const [sqft, setSqft] = useState(market.sqft ?? "");
+  useEffect(() => setSqft(market.sqft ?? ""), [market.sqft]);
+
+  const benchmark = analysis.market?.benchmark;
+  const set = (patch) => onChange({ metro: market.metro, sqft: market.sqft, ...patch });
+  const applySqft = () => {
+    const next = Number(sqft) > 0 ? Number(sqft) : null;
+    if (next !== market.sqft) set({ sqft: next });
+  };
+  const outliers = benchmark
+    ? [...benchmark.metrics, ...benchmark.fees].filter((item) => item.outlier).length
+    : 0;
+
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-3">
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-violet-50 text-violet-600">
+          <BarChart3 className="h-3.5 w-3.5" />
+        </div>
+        <div className="flex-1">
+          <p className="text-sm font-medium text-zinc-800">Market Benchmark</p>
+          <p className="text-[11px] text-zinc-400">
+            {!metros.length
+              ? "No comparables loaded"
+              : benchmark
+                ? `Against ${benchmark.count} comparable ${benchmark.bySize ? "same-size " : ""}suites in ${benchmark.metro}`
+                : "Pick your metro to see how these terms compare locally"}
+          </p>
+        </div>
+        {EXAMPLE_DATA && metros.length > 0 && <Badge variant="warning">Example data</Badge>}
+        {outliers > 0 && <Badge variant="destructive">{outliers} out of market</Badge>}
+      </div>
+
+      {!metros.length && (
+        <p className="text-xs leading-relaxed text-zinc-500">
+          Add comparable suite leases to <code>src/data/comparables.csv</code> (or <code>comparables.json</code>) to see how this
+          lease&apos;s rent, deposit and fees compare locally.
+        </p>
+      )}
+
+      {EXAMPLE_DATA && metros.length > 0 && (
+        <p className="mb-3 rounded-lg bg-amber-50 px-3 py-2 text-[11px] leading-relaxed text-amber-700">
+          These comparables are made-up example figures, not real local leases. Their market flags are shown but don&apos;t
+          count toward the grade. Add your own to <code>src/data/comparables.csv</code> to replace them.
+        </p>
+      )}
+
+      {metros.length > 0 && (
+        <div className="mb-4 grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">Metro</span>
+            <select
+              value={market.metro}
+              onChange={(e) => set({ metro: e.target.value })}
+              className="w-full rounded-lg border border-zinc-200 bg-white px-2 py-[7px] text-sm text-zinc-800 outline-none focus:border-zinc-400"
+            >
+              <option value="">Choose…</option>
+              {metros.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="mb-1 block text-[10px] uppercase tracking-wider text-zinc-400">Suite size (optional)</span>
+            <span className="flex items-center rounded-lg border border-zinc-200 bg-white px-2.5 focus-within:border-zinc-400">
+              <input
+                type="number"
+                min="0"
+                value={sqft}
+                onChange={(e) => setSqft(e.target.value)}
+                onBlur={applySqft}
+                onKeyDown={(e) => e.key === "Enter" && applySqft()}
+                className="w-full bg-transparent px-1 py-1.5 text-sm text-zinc-800 outline-none"
+              />
+              <span className="text-xs text-zinc-400">sq ft</span>
+            </span>
+          </label>
+        </div>
+      )}
+
+      {benchmark && (
+        <div className="space-y-3">
+          {benchmark.metrics.filter((m) => m.value != null).map((m) => (
+            <div key={m.key}>
+              <div className="mb-1.5 flex items-baseline justify-between gap-2">
+                <span className="text-xs text-zinc-500">
+                  {METRICS[m.key].label} <span className="font-medium text-zinc-800">{METRICS[m.key].format(m.value)}</span>
+                </span>
+                <span className="text-[11px] text-zinc-400">
+                  {m.percentile == null
+                    ? "Too few comparables"
+                    : `${formatPercentile(m.percentile)} · median ${METRICS[m.key].format(m.median)}`}
+                </span>
+              </div>
+              {m.percentile != null && <PercentileBar percentile={m.percentile} />}
+            </div>
+          ))}
+
+          {benchmark.fees.length > 0 && (
+            <div className="border-t border-zinc-100 pt-2.5">
+              <p className="mb-1.5 text-[10px] uppercase tracking-wider text-zinc-300">Fees</p>
+              {benchmark.fees.map((f, i) => (
+                <div key={i} className="flex items-center justify-between gap-2 py-1">
+                  <span className="text-xs text-zinc-600">
+                    {f.name} <span className="text-zinc-400">{usd.format(f.value)}{f.oneTime ? " once" : "/mo"}</span>
+                  </span>
+                  <span className="flex items-center gap-2 text-[11px] text-zinc-400">
+                    {f.known > 0 ? `${f.charging} of ${f.known} suites charge one` : "No local data"}
+                    {f.percentile != null && ` · ${formatPercentile(f.percentile)}`}
+                    {f.outlier && <Badge variant="destructive">Out of market</Badge>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <p className="text-[11px] text-zinc-400">
+            Terms at or above the {formatPercentile(OUTLIER_PERCENTILE)}, and fees few local suites charge, are added to the red flags and priorities
+            {EXAMPLE_DATA ? ", but not scored in the grade while the data are examples." : "."}
+          </p>
+        </div>
+      )}
+    </Card>
+  );
+}
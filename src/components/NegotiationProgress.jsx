@@ -0,0 +1,40 @@
+import { Scale } from "lucide-react";
+import { negotiationProgress } from "../lib/negotiation.js";
+import { Card } from "./ui.jsx";
+
+/* ─── NEGOTIATION PROGRESS ─── */
+
+// "5 of 8 red flags resolved", per kind of issue, with a bar split into
+// resolved, raised and refused.
+export default function NegotiationProgress({ analysis, negotiation }) {
+  const progress = negotiationProgress(analysis, negotiation);
+  if (!progress.length) return null;
+
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-2">
+        <Scale className="h-4 w-4 text-blue-500" />
+        <span className="text-xs font-semibold uppercase tracking-widest text-zinc-400">Negotiation Progress</span>
+      </div>
+      <div className="space-y-3">
+        {progress.map((p) => (
+          <div key={p.kind}>
+            <div className="mb-1 flex items-baseline justify-between gap-2">
+              <span className="text-sm text-zinc-700">
+                <span className="font-semibold tabular-nums">{p.resolved} of {p.total}</span> {p.label} resolved
+              </span>
+              <span className="text-[11px] text-zinc-400">
+                {[p.raised > 0 && `${p.raised} awaiting reply`, p.refused > 0 && `${p.refused} refused`].filter(Boolean).join(" · ")}
+              </span>
+            </div>
+            <div className="flex h-1.5 overflow-hidden rounded-full bg-zinc-100">
+              <div className="bg-emerald-500" style={{ width: `${(p.resolved / p.total) * 100}%` }} />
+              <div className="bg-blue-400" style={{ width: `${(p.raised / p.total) * 100}%` }} />
+              <div className="bg-red-400" style={{ width: `${(p.refused / p.total) * 100}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
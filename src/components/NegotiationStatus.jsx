@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { StickyNote } from "lucide-react";
+import { NEGOTIATION_STATUSES } from "../lib/negotiation.js";
+
+/* ─── NEGOTIATION STATUS ─── */
+
+const STATUS_STYLES = {
+  not_raised: "border-zinc-200 bg-white text-zinc-400",
+  raised: "border-blue-200 bg-blue-50 text-blue-700",
+  agreed: "border-emerald-200 bg-emerald-50 text-emerald-700",
+  refused: "border-red-200 bg-red-50 text-red-700",
+  compromise: "border-amber-200 bg-amber-50 text-amber-700",
+};
+
+const formatUpdated = (ms) => new Date(ms).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+
+// Status, note and last-updated date for one issue. Clicks stay here so they
+// don't also open the issue's clause in the lease viewer.
+export default function NegotiationStatus({ entry, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(entry.note);
+
+  const saveNote = () => {
+    setEditing(false);
+    if (draft.trim() !== entry.note) onChange({ note: draft.trim() });
+  };
+
+  return (
+    <div onClick={(e) => e.stopPropagation()} className="mt-2 cursor-default">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={entry.status}
+          onChange={(e) => onChange({ status: e.target.value })}
+          aria-label="Negotiation status"
+          className={`rounded-md border px-1.5 py-0.5 text-[11px] font-medium outline-none ${STATUS_STYLES[entry.status]}`}
+        >
+          {NEGOTIATION_STATUSES.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+        {!editing && (
+          <button
+            onClick={() => {
+              setDraft(entry.note);
+              setEditing(true);
+            }}
+            className="flex items-center gap-1 rounded-md px-1.5 py-0.5 text-[11px] text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+          >
+            <StickyNote className="h-3 w-3" />
+            {entry.note ? "Edit note" : "Add note"}
+          </button>
+        )}
+        {entry.updatedAt && <span className="text-[10px] text-zinc-300">Updated {formatUpdated(entry.updatedAt)}</span>}
+      </div>
+      {editing ? (
+        <textarea
+          autoFocus
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={saveNote}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setEditing(false);
+          }}
+          rows={2}
+          maxLength={1000}
+          placeholder="What was said, offered or agreed"
+          className="mt-1.5 w-full resize-y rounded-lg border border-zinc-200 bg-white px-2.5 py-1.5 text-xs text-zinc-700 outline-none placeholder:text-zinc-300 focus:border-zinc-400"
+        />
+      ) : entry.note && (
+        <p className="mt-1.5 whitespace-pre-wrap border-l-2 border-zinc-200 pl-2 text-xs text-zinc-500">{entry.note}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { Store } from "lucide-react";
+import { BUSINESS_TYPES, MAX_BOOTH_RENTALS, MAX_SUITES } from "../lib/tenantProfile.js";
+import { Card, Segmented } from "./ui.jsx";
+
+/* ─── TENANT PROFILE FORM ─── */
+
+const GUARANTEE_OPTIONS = [
+  { value: "yes", label: "Yes" },
+  { value: "no", label: "No" },
+];
+
+function CountInput({ label, value, min, max, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-3">
+      <span className="text-xs text-zinc-500">{label}</span>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        onChange={(e) => {
+          const n = parseInt(e.target.value, 10);
+          onChange(Number.isNaN(n) ? min : Math.max(min, Math.min(max, n)));
+        }}
+        className="w-20 rounded-lg border border-zinc-200 bg-white px-2.5 py-1 text-right text-sm tabular-nums text-zinc-800 outline-none focus:border-zinc-400"
+      />
+    </label>
+  );
+}
+
+// Asked before the analysis: who the tenant is changes which areas are checked,
+// what counts as high severity and how the lease is graded.
+export default function ProfileForm({ profile, onChange }) {
+  const set = (patch) => onChange({ ...profile, ...patch });
+
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-3">
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-blue-50 text-blue-600">
+          <Store className="h-3.5 w-3.5" />
+        </div>
+        <div>
+          <p className="text-sm font-medium text-zinc-800">Your Business</p>
+          <p className="text-[11px] text-zinc-400">Tailors what the review checks and how it grades the lease</p>
+        </div>
+      </div>
+
+      <div className="mb-3 grid grid-cols-2 gap-2">
+        {BUSINESS_TYPES.map((t) => (
+          <button
+            key={t.value}
+            onClick={() => set({ business: t.value })}
+            className={`rounded-lg border px-3 py-2 text-left transition-colors ${
+              profile.business === t.value ? "border-zinc-900 bg-zinc-50" : "border-zinc-200 hover:bg-zinc-50"
+            }`}
+          >
+            <span className="block text-xs font-medium text-zinc-800">{t.label}</span>
+            <span className="block text-[11px] text-zinc-400">{t.hint}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <CountInput label="Suites you're leasing" value={profile.suites} min={1} max={MAX_SUITES} onChange={(suites) => set({ suites })} />
+        <CountInput
+          label="Booth or chair rentals you plan"
+          value={profile.booth_rentals}
+          min={0}
+          max={MAX_BOOTH_RENTALS}
+          onChange={(booths) => set({ booth_rentals: booths })}
+        />
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-xs text-zinc-500">Can you offer a personal guarantee?</span>
+          <Segmented
+            options={GUARANTEE_OPTIONS}
+            value={profile.guarantee ? "yes" : "no"}
+            onChange={(v) => set({ guarantee: v === "yes" })}
+          />
+        </div>
+      </div>
+    </Card>
+  );
+}
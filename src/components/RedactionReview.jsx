@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { ChevronDown, Lock, Plus, X } from "lucide-react";
+import { PII_KINDS, addRedaction, removeRedaction } from "../lib/redaction.js";
+import { Card } from "./ui.jsx";
+
+/* ─── REDACTION REVIEW ─── */
+
+// What privacy mode replaces before the lease is sent. With `onChange` the
+// list can be edited: values removed, or ones the detection missed added.
+export default function RedactionReview({ redaction, onChange, defaultOpen = false }) {
+  const [open, setOpen] = useState(defaultOpen);
+  const [term, setTerm] = useState("");
+  const { items } = redaction;
+
+  const add = (e) => {
+    e.preventDefault();
+    onChange(addRedaction(redaction, term));
+    setTerm("");
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-emerald-50 text-emerald-600">
+          <Lock className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Privacy Mode</span>
+        <span className="text-xs text-zinc-400">{items.length} redacted</span>
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3">
+          <p className="mb-3 text-xs text-zinc-400">
+            These values are replaced with placeholders before the lease is sent, and put back in your report and emails.
+            They never leave this browser.
+          </p>
+
+          {items.length === 0 ? (
+            <p className="mb-3 text-xs text-amber-600">No personal identifiers were found. Add any the lease contains below.</p>
+          ) : (
+            <div className="mb-3 divide-y divide-zinc-50">
+              {items.map((item) => (
+                <div key={item.value} className="flex items-center gap-2 py-1.5">
+                  <span className="w-24 shrink-0 text-[10px] font-semibold uppercase tracking-wider text-zinc-400">{PII_KINDS[item.kind]}</span>
+                  <span className="min-w-0 flex-1 truncate text-sm text-zinc-700">{item.value}</span>
+                  <span className="shrink-0 font-mono text-[11px] text-zinc-400">{item.placeholder}</span>
+                  {onChange && (
+                    <button
+                      onClick={() => onChange(removeRedaction(redaction, item.value))}
+                      title="Send this value as it is"
+                      className="rounded-md p-1 text-zinc-300 transition-colors hover:bg-zinc-100 hover:text-zinc-500"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {onChange && (
+            <form onSubmit={add} className="flex items-center gap-2">
+              <input
+                value={term}
+                onChange={(e) => setTerm(e.target.value)}
+                maxLength={200}
+                placeholder="Also redact a name, number or address"
+                className="min-w-0 flex-1 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-sm text-zinc-800 outline-none placeholder:text-zinc-300 focus:border-zinc-400"
+              />
+              <button
+                type="submit"
+                disabled={!term.trim()}
+                className="flex items-center gap-1 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-600 transition-colors hover:bg-zinc-50 disabled:opacity-40"
+              >
+                <Plus className="h-3 w-3" />
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
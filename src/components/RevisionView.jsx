@@ -0,0 +1,277 @@
+import { useRef, useState } from "react";
+import {
+  ArrowRight, ChevronDown, FileDiff, FileText, Loader2, Sparkles, Upload, X, AlertTriangle,
+} from "lucide-react";
+import { AnalysisError, loadLease } from "../lib/analyzeLease.js";
+import { mergeRedactions } from "../lib/redaction.js";
+import { reviewRevision, revisionItems } from "../lib/revision.js";
+import { Badge, Card, GRADE_CONFIG } from "./ui.jsx";
+
+/* ─── REVISED DRAFT REVIEW ─── */
+
+const STATUS_CONFIG = {
+  resolved: { label: "Resolved", variant: "success" },
+  partial: { label: "Partially addressed", variant: "warning" },
+  unchanged: { label: "Unchanged", variant: "default" },
+  worsened: { label: "Worsened", variant: "destructive" },
+};
+
+const CHANGE_STYLES = {
+  modified: "bg-amber-50 text-amber-600",
+  added: "bg-emerald-50 text-emerald-600",
+  removed: "bg-red-50 text-red-600",
+};
+
+function GradeChip({ grade }) {
+  const gc = GRADE_CONFIG[grade] || GRADE_CONFIG.C;
+  return (
+    <span className={`flex h-9 w-9 items-center justify-center rounded-lg border text-base font-bold ${gc.border} ${gc.bg} ${gc.text}`}>
+      {grade || "?"}
+    </span>
+  );
+}
+
+function ClauseChange({ entry }) {
+  const [open, setOpen] = useState(false);
+  const clause = entry.after || entry.before;
+  return (
+    <div className="[&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+      <button onClick={() => setOpen(!open)} className="flex w-full items-center gap-2 py-2 text-left">
+        <span className={`shrink-0 rounded px-1.5 py-0.5 text-[10px] font-medium capitalize ${CHANGE_STYLES[entry.status]}`}>
+          {entry.status}
+        </span>
+        <span className="flex-1 truncate text-xs text-zinc-700">{clause.heading}</span>
+        <ChevronDown className={`h-3.5 w-3.5 shrink-0 text-zinc-300 transition-transform ${open ? "rotate-180" : ""}`} />
+      </button>
+      {open && (
+        <p className="mb-2 whitespace-pre-wrap rounded-lg bg-zinc-50 p-3 text-xs leading-relaxed text-zinc-600">
+          {entry.status === "modified" && entry.diff.map((part, i) => (
+            part.type === "same" ? <span key={i}>{part.text} </span>
+              : part.type === "del" ? <del key={i} className="bg-red-100 text-red-700">{part.text} </del>
+                : <ins key={i} className="bg-emerald-100 text-emerald-700 no-underline">{part.text} </ins>
+          ))}
+          {entry.status === "added" && <ins className="bg-emerald-100 text-emerald-700 no-underline">{entry.after.text}</ins>}
+          {entry.status === "removed" && <del className="bg-red-100 text-red-700">{entry.before.text}</del>}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function RevisionResult({ original, result, onAdopt }) {
+  const { analysis, review, diff } = result;
+  const byId = Object.fromEntries(review.items.map((i) => [i.id, i]));
+  const items = revisionItems(original.analysis);
+  const counts = Object.fromEntries(Object.keys(STATUS_CONFIG).map((s) => [s, items.filter((i) => byId[i.id]?.status === s).length]));
+  const changes = diff?.filter((e) => e.status !== "unchanged") || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3">
+        <GradeChip grade={original.analysis.grade} />
+        <ArrowRight className="h-4 w-4 text-zinc-300" />
+        <GradeChip grade={analysis.grade} />
+        <p className="min-w-0 flex-1 text-sm leading-relaxed text-zinc-500">{review.summary}</p>
+      </div>
+
+      <div className="flex flex-wrap gap-1.5">
+        {Object.entries(STATUS_CONFIG).map(([status, { label, variant }]) => (
+          <Badge key={status} variant={counts[status] ? variant : "default"}>{counts[status]} {label.toLowerCase()}</Badge>
+        ))}
+      </div>
+
+      <div>
+        <p className="mb-1 text-[10px] font-semibold uppercase tracking-widest text-zinc-400">Original issues</p>
+        {items.map((item) => {
+          const verdict = byId[item.id];
+          const cfg = STATUS_CONFIG[verdict?.status];
+          return (
+            <div key={item.id} className="py-2.5 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+              <div className="flex items-start gap-2">
+                <span className="flex-1 text-sm font-medium text-zinc-800">{item.title}</span>
+                <span className="shrink-0 text-[10px] text-zinc-400 mt-0.5">{item.kind}</span>
+                {cfg ? <Badge variant={cfg.variant}>{cfg.label}</Badge> : <Badge>Not assessed</Badge>}
+              </div>
+              {verdict?.note && <p className="mt-1 text-xs leading-relaxed text-zinc-500">{verdict.note}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      {review.new_issues.length > 0 && (
+        <div>
+          <p className="mb-1 flex items-center gap-1.5 text-[10px] font-semibold uppercase tracking-widest text-red-500">
+            <AlertTriangle className="h-3 w-3" />
+            New in this revision
+          </p>
+          {review.new_issues.map((issue, i) => (
+            <div key={i} className="py-2.5 [&:not(:last-child)]:border-b [&:not(:last-child)]:border-zinc-100">
+              <div className="flex items-start gap-2">
+                <span className="flex-1 text-sm font-medium text-zinc-800">{issue.title}</span>
+                <Badge variant={issue.severity === "high" ? "destructive" : "warning"}>{issue.severity}</Badge>
+                {issue.section && <span className="shrink-0 text-[10px] text-zinc-400 mt-0.5">§{issue.section}</span>}
+              </div>
+              <p className="mt-1 text-xs leading-relaxed text-zinc-500">{issue.detail}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <p className="mb-1 text-[10px] font-semibold uppercase tracking-widest text-zinc-400">
+          Changed clauses {diff && `(${changes.length})`}
+        </p>
+        {!diff && (
+          <p className="text-xs text-zinc-400">A clause-level diff needs the text of both drafts, and one of them is a scanned PDF.</p>
+        )}
+        {diff && changes.length === 0 && <p className="text-xs text-zinc-400">The text of the two drafts is identical.</p>}
+        {changes.map((entry, i) => <ClauseChange key={i} entry={entry} />)}
+      </div>
+
+      <button
+        onClick={onAdopt}
+        className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50"
+      >
+        <FileText className="h-3.5 w-3.5" />
+        Open revised draft's full report
+      </button>
+    </div>
+  );
+}
+
+export default function RevisionView({ analysis, lease, onAdopt }) {
+  const [open, setOpen] = useState(false);
+  const [revision, setRevision] = useState(null); // { file, lease }
+  const [loadingFile, setLoadingFile] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const pickFile = async (file) => {
+    if (!file) return;
+    setRevision(null);
+    setResult(null);
+    setError(null);
+    setLoadingFile(true);
+    try {
+      // A redacted lease's revision is redacted too, at least of the same values.
+      if (lease?.redaction) {
+        const revised = await loadLease(file, { privacy: true });
+        setRevision({ file, lease: { ...revised, redaction: mergeRedactions(lease.redaction, revised.redaction) } });
+      } else {
+        setRevision({ file, lease: await loadLease(file) });
+      }
+    } catch (err) {
+      setError(err.message || "This file could not be read.");
+    } finally {
+      setLoadingFile(false);
+    }
+  };
+
+  const compare = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+    try {
+      setResult(await reviewRevision({ analysis, lease }, revision.lease, {
+        signal: controller.signal,
+        onProgress: setProgress,
+      }));
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        setError(err instanceof AnalysisError
+          ? `${err.message} (${err.sections.join(", ")})`
+          : err.message || "The revision could not be compared.");
+      }
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-sky-50 text-sky-600">
+          <FileDiff className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Compare Revised Draft</span>
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3">
+          {!result && (
+            <>
+              <p className="text-xs text-zinc-400 mb-3">
+                Upload the landlord's revised lease to see which issues were resolved and what changed.
+              </p>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".pdf,.doc,.docx,.txt"
+                onChange={(e) => { pickFile(e.target.files[0]); e.target.value = ""; }}
+                className="hidden"
+              />
+              <div className="flex flex-wrap items-center gap-2">
+                {!running && (
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={loadingFile}
+                    className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-4 py-2 text-xs font-medium text-zinc-500 transition-colors hover:bg-zinc-50 disabled:opacity-50"
+                  >
+                    {loadingFile ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Upload className="h-3.5 w-3.5" />}
+                    <span className="max-w-[200px] truncate">{revision ? revision.file.name : "Choose revised draft"}</span>
+                  </button>
+                )}
+                {revision && !running && (
+                  <button
+                    onClick={compare}
+                    className="flex items-center gap-2 rounded-lg bg-zinc-900 px-4 py-2 text-xs font-semibold text-white transition-all hover:bg-zinc-800 active:scale-[0.98] shadow-sm"
+                  >
+                    <Sparkles className="h-3.5 w-3.5" />
+                    Compare
+                  </button>
+                )}
+                {running && (
+                  <>
+                    <Loader2 className="h-3.5 w-3.5 animate-spin text-amber-500" />
+                    <span className="text-xs text-zinc-500">
+                      {progress?.step === "review"
+                        ? "Checking original issues..."
+                        : `Analyzing revised draft${progress?.bytes ? ` · ${(progress.bytes / 1024).toFixed(1)} KB` : ""}...`}
+                    </span>
+                    <button
+                      onClick={() => abortRef.current?.abort()}
+                      className="flex items-center gap-1 rounded-lg px-2 py-1 text-xs text-zinc-400 transition-colors hover:bg-zinc-100 hover:text-zinc-600"
+                    >
+                      <X className="h-3 w-3" />
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+              {error && <p className="mt-3 text-xs text-red-500">{error}</p>}
+            </>
+          )}
+
+          {result && (
+            <RevisionResult
+              original={{ analysis }}
+              result={result}
+              onAdopt={() => onAdopt({ file: revision.file, lease: revision.lease, analysis: result.analysis })}
+            />
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
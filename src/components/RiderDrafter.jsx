@@ -0,0 +1,193 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Check, ChevronDown, Copy, FileSignature, FileText, Loader2, Trash2 } from "lucide-react";
+import { describeError } from "../lib/errorMessages.js";
+import { downloadBlob } from "../lib/reportPdf.js";
+import {
+  RIDER_DISCLAIMER, RIDER_INTRO, RIDER_TITLE, draftRider, riderCandidates, riderDocx, riderFileName, riderText,
+} from "../lib/rider.js";
+import { Card } from "./ui.jsx";
+
+/* ─── LEASE RIDER ─── */
+
+const textareaClass = "w-full resize-y rounded-lg border border-zinc-200 bg-white px-3 py-2 text-sm leading-relaxed text-zinc-700 outline-none focus:border-zinc-400";
+
+// Drafts a rider (addendum) with proposed clause language for the selected red
+// flags and missing clauses. Every paragraph stays editable before export.
+export default function RiderDrafter({ lease, analysis, fileName }) {
+  const candidates = useMemo(() => riderCandidates(analysis), [analysis]);
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState(() => new Set(candidates.filter((c) => c.kind === "red_flag").map((c) => c.id)));
+  const [drafting, setDrafting] = useState(false);
+  const [error, setError] = useState(null);
+  const [title, setTitle] = useState(RIDER_TITLE);
+  const [intro, setIntro] = useState(RIDER_INTRO);
+  const [paragraphs, setParagraphs] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+
+  const draft = async () => {
+    setDrafting(true);
+    setError(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      setParagraphs(await draftRider(lease, candidates.filter((c) => selected.has(c.id)), { signal: controller.signal }));
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      setError(describeError(err));
+    } finally {
+      abortRef.current = null;
+      setDrafting(false);
+    }
+  };
+
+  const setParagraph = (i, patch) => setParagraphs(paragraphs.map((p, j) => (j === i ? { ...p, ...patch } : p)));
+  const rider = { title, intro, paragraphs: paragraphs || [] };
+
+  const copy = () => {
+    navigator.clipboard.writeText(riderText(rider));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const groups = [
+    { kind: "red_flag", label: "Red flags", color: "text-red-600" },
+    { kind: "missing", label: "Missing clauses", color: "text-violet-600" },
+  ];
+
+  return (
+    <Card className="overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex w-full items-center gap-3 px-4 py-3.5 text-left transition-colors hover:bg-zinc-50"
+      >
+        <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-rose-50 text-rose-600">
+          <FileSignature className="h-3.5 w-3.5" />
+        </div>
+        <span className="flex-1 text-sm font-medium text-zinc-800">Draft Lease Rider</span>
+        {paragraphs && <span className="text-xs text-zinc-400">{paragraphs.length} paragraphs</span>}
+        <ChevronDown className={`h-4 w-4 text-zinc-400 transition-transform duration-200 ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="border-t border-zinc-100 px-4 pb-4 pt-3 space-y-4">
+          <p className="text-xs text-zinc-400">
+            Choose the issues to address. Each becomes a numbered rider paragraph with proposed clause language that you can edit.
+          </p>
+
+          {groups.map(({ kind, label, color }) => {
+            const items = candidates.filter((c) => c.kind === kind);
+            if (!items.length) return null;
+            return (
+              <div key={kind}>
+                <p className={`mb-1.5 text-[10px] font-semibold uppercase tracking-wider ${color}`}>{label}</p>
+                <div className="space-y-1">
+                  {items.map((c) => (
+                    <label key={c.id} className="flex cursor-pointer items-start gap-2 text-sm text-zinc-700">
+                      <input type="checkbox" checked={selected.has(c.id)} onChange={() => toggle(c.id)} className="mt-1 accent-zinc-900" />
+                      <span>
+                        {c.title}
+                        {c.section && <span className="text-xs text-zinc-400"> · Section {c.section}</span>}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          <button
+            onClick={draft}
+            disabled={drafting || selected.size === 0}
+            className="flex w-full items-center justify-center gap-2 rounded-lg bg-zinc-900 px-4 py-2.5 text-sm font-medium text-white transition-colors hover:bg-zinc-800 disabled:opacity-50"
+          >
+            {drafting ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileSignature className="h-4 w-4" />}
+            {drafting ? "Drafting..." : paragraphs ? "Redraft rider" : `Draft rider (${selected.size})`}
+          </button>
+
+          {error && (
+            <p className="rounded-lg bg-red-50 px-3 py-2 text-xs text-red-600">
+              <span className="font-medium">{error.title}.</span> {error.message}
+            </p>
+          )}
+
+          {paragraphs && (
+            <div className="space-y-3 border-t border-zinc-100 pt-4">
+              <input
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full rounded-lg border border-zinc-200 bg-white px-3 py-2 text-center text-sm font-semibold uppercase tracking-wide text-zinc-800 outline-none focus:border-zinc-400"
+              />
+              <textarea value={intro} onChange={(e) => setIntro(e.target.value)} rows={3} className={textareaClass} />
+
+              {paragraphs.map((p, i) => (
+                <div key={p.id} className="rounded-lg border border-zinc-100 bg-zinc-50/50 p-3">
+                  <div className="mb-2 flex items-center gap-2">
+                    <span className="text-sm font-semibold tabular-nums text-zinc-800">{i + 1}.</span>
+                    <input
+                      value={p.heading}
+                      onChange={(e) => setParagraph(i, { heading: e.target.value })}
+                      className="min-w-0 flex-1 rounded-md border border-transparent bg-transparent px-1.5 py-0.5 text-sm font-semibold text-zinc-800 outline-none hover:border-zinc-200 focus:border-zinc-400 focus:bg-white"
+                    />
+                    {p.section && <span className="shrink-0 text-[11px] text-zinc-400">Section {p.section}</span>}
+                    <button
+                      onClick={() => setParagraphs(paragraphs.filter((_, j) => j !== i))}
+                      title="Remove this paragraph"
+                      className="rounded-md p-1 text-zinc-300 transition-colors hover:bg-zinc-100 hover:text-red-500"
+                    >
+                      <Trash2 className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                  <textarea
+                    value={p.text}
+                    onChange={(e) => setParagraph(i, { text: e.target.value })}
+                    rows={Math.min(10, Math.max(3, Math.ceil(p.text.length / 80)))}
+                    className={textareaClass}
+                  />
+                </div>
+              ))}
+
+              <p className="text-[11px] italic text-zinc-400">{RIDER_DISCLAIMER}</p>
+
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => downloadBlob(riderDocx(rider), riderFileName(fileName, "docx"))}
+                  disabled={paragraphs.length === 0}
+                  className="flex items-center gap-1.5 rounded-lg bg-zinc-900 px-3 py-1.5 text-xs font-medium text-white transition-colors hover:bg-zinc-800 disabled:opacity-40"
+                >
+                  <FileSignature className="h-3 w-3" />
+                  Download DOCX
+                </button>
+                <button
+                  onClick={() => downloadBlob(new Blob([riderText(rider)], { type: "text/plain;charset=utf-8" }), riderFileName(fileName, "txt"))}
+                  disabled={paragraphs.length === 0}
+                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-600 transition-colors hover:bg-zinc-50 disabled:opacity-40"
+                >
+                  <FileText className="h-3 w-3" />
+                  Download TXT
+                </button>
+                <button
+                  onClick={copy}
+                  disabled={paragraphs.length === 0}
+                  className="flex items-center gap-1.5 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-xs font-medium text-zinc-600 transition-colors hover:bg-zinc-50 disabled:opacity-40"
+                >
+                  {copied ? <Check className="h-3 w-3 text-emerald-500" /> : <Copy className="h-3 w-3" />}
+                  {copied ? "Copied" : "Copy"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
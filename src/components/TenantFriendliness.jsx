@@ -0,0 +1,43 @@
+import { useMemo } from "react";
+import { DETERRENT_POINTS, FRIENDLINESS_POINTS, tenantFriendliness } from "../lib/operatorMode.js";
+
+/* ─── TENANT FRIENDLINESS ─── */
+
+const BAR_COLORS = [
+  { min: 75, className: "bg-emerald-500" },
+  { min: 50, className: "bg-amber-500" },
+  { min: 0, className: "bg-red-500" },
+];
+
+// An operator audit's second score: how the agreement looks to a stylist
+// deciding whether to rent, next to the grade for how well it protects the
+// operator.
+export default function TenantFriendliness({ analysis }) {
+  const result = useMemo(() => tenantFriendliness(analysis), [analysis]);
+  if (!result) return null;
+
+  const { score, label, counts, deterrents } = result;
+  const bar = BAR_COLORS.find((b) => score >= b.min).className;
+  const how = `Average of the ${Object.values(counts).reduce((a, b) => a + b, 0)} tenant areas as a renter sees them `
+    + `(favorable ${FRIENDLINESS_POINTS.favorable}, unclear ${FRIENDLINESS_POINTS.unclear}, `
+    + `missing ${FRIENDLINESS_POINTS.missing}, unfavorable ${FRIENDLINESS_POINTS.unfavorable}), `
+    + `less ${DETERRENT_POINTS} for each red flag that deters renters.`;
+
+  return (
+    <div className="mt-3 border-t border-zinc-100 pt-3" title={how}>
+      <div className="mb-1.5 flex items-baseline justify-between gap-2">
+        <span className="text-xs font-medium text-zinc-600">Tenant friendliness</span>
+        <span className="text-xs text-zinc-400">
+          <span className="font-semibold tabular-nums text-zinc-800">{score}</span>/100 · {label}
+        </span>
+      </div>
+      <div className="h-1.5 overflow-hidden rounded-full bg-zinc-100">
+        <div className={`h-full rounded-full ${bar}`} style={{ width: `${score}%` }} />
+      </div>
+      <p className="mt-1.5 text-[11px] text-zinc-400">
+        {counts.favorable} favorable · {counts.unfavorable} unfavorable to renters
+        {deterrents > 0 && ` · ${deterrents} ${deterrents === 1 ? "term" : "terms"} likely to deter renters`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+/* ─── GRADE CONFIG ─── */
+export const GRADE_CONFIG = {
+  A: { bg: "bg-emerald-50", border: "border-emerald-200", text: "text-emerald-600", label: "Strong", variant: "success" },
+  B: { bg: "bg-emerald-50", border: "border-emerald-200", text: "text-emerald-600", label: "Good", variant: "success" },
+  C: { bg: "bg-amber-50", border: "border-amber-200", text: "text-amber-600", label: "Fair", variant: "warning" },
+  D: { bg: "bg-orange-50", border: "border-orange-200", text: "text-orange-600", label: "Risky", variant: "destructive" },
+  F: { bg: "bg-red-50", border: "border-red-200", text: "text-red-600", label: "Dangerous", variant: "destructive" },
+};
+
+/* ─── COMPONENTS ─── */
+
+export function Card({ children, className = "" }) {
+  return (
+    <div className={`rounded-xl border border-zinc-200 bg-white shadow-sm ${className}`}>
+      {children}
+    </div>
+  );
+}
+
+export function Badge({ children, variant = "default" }) {
+  const styles = {
+    default: "bg-zinc-100 text-zinc-600",
+    destructive: "bg-red-50 text-red-600",
+    warning: "bg-amber-50 text-amber-600",
+    success: "bg-emerald-50 text-emerald-600",
+    purple: "bg-violet-50 text-violet-600",
+  };
+  return (
+    <span className={`inline-flex items-center rounded-md px-2 py-0.5 text-xs font-medium ${styles[variant]}`}>
+      {children}
+    </span>
+  );
+}
+
+// A row of mutually exclusive options, as [{ value, label }].
+export function Segmented({ options, value, onChange }) {
+  return (
+    <div className="inline-flex rounded-lg border border-zinc-200 bg-zinc-50 p-0.5">
+      {options.map((o) => (
+        <button
+          key={o.value}
+          onClick={() => onChange(o.value)}
+          className={`rounded-md px-2.5 py-1 text-xs font-medium transition-colors ${
+            value === o.value ? "bg-white text-zinc-800 shadow-sm" : "text-zinc-400 hover:text-zinc-600"
+          }`}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
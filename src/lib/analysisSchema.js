@@ -0,0 +1,306 @@
+import { COVERAGE_STATUSES, CRITICAL_AREAS } from "./criticalAreas.js";
+import { RED_FLAG_ISSUES } from "./operatorMode.js";
+
+/* ─── ANALYSIS SCHEMA ─── */
+
+// Mirrors the JSON structure the analysis prompt asks the model for. `label`
+// names the part of the report a top-level key renders as.
+const text = { type: "string" };
+const section = { type: "string", nullable: true };
+const amount = { type: "number", nullable: true };
+const FREQUENCIES = ["weekly", "monthly", "annual"];
+export const KEY_DATE_TYPES = ["commencement", "expiration", "escalation", "renewal_notice", "termination_window", "other"];
+
+const flag = (extra = {}, required = []) => ({
+  type: "object",
+  properties: { title: text, detail: text, section, quote: { type: "string", nullable: true }, ...extra },
+  required: ["title", "detail", ...required],
+});
+
+const severity = { type: "string", enum: ["high", "medium"] };
+const coverageOf = (areas, label) => ({
+  type: "object",
+  properties: Object.fromEntries(areas.map((a) => [a.id, { type: "string", enum: COVERAGE_STATUSES }])),
+  required: areas.map((a) => a.id),
+  label,
+});
+
+// `areas` are the critical areas the report rates in "coverage" (see
+// profileAreas in tenantProfile.js). An `operator` report (see operatorMode.js)
+// also says why each red flag is a problem and rates the tenant's areas.
+export const analysisSchema = ({ areas = CRITICAL_AREAS, operator = false } = {}) => ({
+  type: "object",
+  properties: {
+    summary: { ...text, label: "Summary" },
+    grade: { type: "string", enum: ["A", "B", "C", "D", "F"], label: "Grade" },
+    green_flags: { type: "array", items: flag(), label: "Green flags" },
+    red_flags: {
+      type: "array",
+      items: operator
+        ? flag({ severity, issue: { type: "string", enum: Object.keys(RED_FLAG_ISSUES) }, fix: text }, ["severity", "issue", "fix"])
+        : flag({ severity, fix: text }, ["severity", "fix"]),
+      label: "Red flags",
+    },
+    attention: { type: "array", items: flag({ ask: text }, ["ask"]), label: "Needs clarification" },
+    missing: {
+      type: "array",
+      items: { type: "object", properties: { title: text, detail: text }, required: ["title", "detail"] },
+      label: "Missing clauses",
+    },
+    money: {
+      type: "object",
+      properties: { rent: text, deposit: text, escalation: text, fees: { type: "array", items: text } },
+      required: ["rent", "deposit", "escalation", "fees"],
+      label: "Financials",
+    },
+    costs: {
+      type: "object",
+      properties: {
+        base_rent: amount,
+        frequency: { type: "string", enum: FREQUENCIES },
+        deposit: amount,
+        escalation: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["none", "fixed_percent", "fixed_amount", "cpi"] },
+            rate: amount,
+            every_months: amount,
+            cap: amount,
+          },
+          required: ["type"],
+        },
+        fees: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { name: text, amount: { type: "number" }, frequency: { type: "string", enum: [...FREQUENCIES, "one_time"] } },
+            required: ["name", "amount", "frequency"],
+          },
+        },
+        term_months: amount,
+        renewal: {
+          type: "object",
+          properties: { options: { type: "number" }, term_months: amount, increase: amount },
+          required: ["options"],
+        },
+      },
+      required: ["base_rent", "frequency", "escalation", "fees", "term_months", "renewal"],
+      label: "Cost details",
+    },
+    dates: {
+      type: "object",
+      properties: { term: text, notice: text, renewal: text },
+      required: ["term", "notice", "renewal"],
+      label: "Key terms",
+    },
+    // Optional: reports saved before key dates were extracted don't have it.
+    key_dates: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: KEY_DATE_TYPES },
+          label: text,
+          date: { type: "string", nullable: true },
+          anchor: { type: "string", enum: ["commencement", "expiration"], nullable: true },
+          offset_months: amount,
+          offset_days: amount,
+          window_days: amount,
+          section,
+        },
+        required: ["type", "label"],
+      },
+      label: "Key dates",
+    },
+    coverage: coverageOf(areas, "Critical area coverage"),
+    ...(operator && { tenant_coverage: coverageOf(CRITICAL_AREAS, "Tenant friendliness") }),
+    priorities: { type: "array", items: text, label: "Negotiation priorities" },
+  },
+  required: [
+    "summary", "grade", "green_flags", "red_flags", "attention", "missing", "money", "costs", "dates", "coverage",
+    ...(operator ? ["tenant_coverage"] : []), "priorities",
+  ],
+});
+
+export const ANALYSIS_SCHEMA = analysisSchema();
+
+function typeOf(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+// Returns a list of { path, message } for everything in `value` that does not
+// match `schema`. Paths look like "red_flags[2].severity".
+export function validate(schema, value, path = "") {
+  if (value === null && schema.nullable) return [];
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    return [{ path, message: `expected ${schema.type}, got ${actual}` }];
+  }
+  if (schema.type === "number" && !Number.isFinite(value)) {
+    return [{ path, message: "must be a finite number" }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.join(", ")}` }];
+  }
+
+  const errors = [];
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: join(path, key), message: "is missing" });
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(child, value[key], join(path, key)));
+    }
+  }
+  if (schema.type === "array") {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/* ─── JSON REPAIR ─── */
+
+// Walks `raw` from its first "{" and returns the first complete top-level
+// object, dropping any trailing text. If the text was cut off, it is trimmed
+// back to the last complete value and the open brackets are closed.
+export function repairJson(raw) {
+  const start = raw.indexOf("{");
+  if (start === -1) return null;
+  const src = raw.slice(start);
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let safe = null;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch === "{" ? "}" : "]");
+      safe = { end: i + 1, closers: [...stack] };
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+      if (stack.length === 0) return src.slice(0, i + 1);
+      safe = { end: i + 1, closers: [...stack] };
+    } else if (ch === ",") {
+      safe = { end: i, closers: [...stack] };
+    }
+  }
+
+  if (!safe) return null;
+  return src.slice(0, safe.end) + safe.closers.reverse().join("");
+}
+
+function tryParse(json) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+}
+
+// Cheap fixes for values the model reliably gets almost right.
+function normalize(data) {
+  if (typeof data.grade === "string") data.grade = data.grade.trim().charAt(0).toUpperCase();
+  data.red_flags?.forEach?.((f) => {
+    if (typeof f?.severity === "string") f.severity = f.severity.trim().toLowerCase();
+    if (typeof f?.issue === "string") f.issue = f.issue.trim().toLowerCase().replace(/[\s-]/g, "_");
+  });
+  if (typeOf(data.costs) === "object") {
+    const c = data.costs;
+    if (typeof c.frequency === "string") c.frequency = c.frequency.trim().toLowerCase();
+    if (typeof c.escalation?.type === "string") c.escalation.type = c.escalation.type.trim().toLowerCase();
+    // "$1,200" and "3%" instead of numbers are the usual slip.
+    const num = (v) => (typeof v === "string" && /\d/.test(v) ? parseFloat(v.replace(/[$,\s]/g, "")) : v);
+    for (const key of ["base_rent", "deposit", "term_months"]) c[key] = num(c[key]);
+    if (c.escalation) for (const key of ["rate", "every_months", "cap"]) c.escalation[key] = num(c.escalation[key]);
+    if (c.renewal) for (const key of ["options", "term_months", "increase"]) c.renewal[key] = num(c.renewal[key]);
+    c.fees?.forEach?.((f) => {
+      if (f) f.amount = num(f.amount);
+      if (typeof f?.frequency === "string") f.frequency = f.frequency.trim().toLowerCase().replace(/[\s-]/g, "_");
+    });
+  }
+  data.key_dates?.forEach?.((k) => {
+    if (typeof k?.type === "string") k.type = k.type.trim().toLowerCase().replace(/[\s-]/g, "_");
+    if (typeof k?.anchor === "string") k.anchor = k.anchor.trim().toLowerCase();
+  });
+  for (const key of ["coverage", "tenant_coverage"]) {
+    if (typeOf(data[key]) !== "object") continue;
+    for (const [id, status] of Object.entries(data[key])) {
+      if (typeof status === "string") data[key][id] = status.trim().toLowerCase();
+    }
+  }
+  return data;
+}
+
+/* ─── CHECK ─── */
+
+// Parses, repairs and validates raw model output against `schema`, applying
+// `fix` to the parsed object first. Returns { analysis, errors, repaired }:
+//   analysis — the parsed object with invalid items and sections removed, or
+//              null if nothing could be parsed
+//   errors   — { path, message } for every schema violation
+export function checkJson(raw, schema, fix = (data) => data) {
+  const cleaned = raw.replace(/```json|```/g, "").trim();
+  let data = tryParse(cleaned);
+  let repaired = false;
+  if (data === undefined) {
+    const fixed = repairJson(cleaned);
+    data = fixed && (tryParse(fixed) ?? tryParse(fixed.replace(/,(\s*[}\]])/g, "$1")));
+    repaired = true;
+  }
+  if (typeOf(data) !== "object") {
+    return { analysis: null, errors: [{ path: "", message: "response was not a JSON object" }], repaired };
+  }
+
+  fix(data);
+  const errors = validate(schema, data);
+  return { analysis: prune(data, errors), errors, repaired };
+}
+
+export function checkAnalysis(raw, schema = ANALYSIS_SCHEMA) {
+  return checkJson(raw, schema, normalize);
+}
+
+// Drops the top-level sections and list items that failed validation so the
+// rest of the report can still be shown.
+function prune(data, errors) {
+  const out = { ...data };
+  const badItems = {};
+  for (const { path } of errors) {
+    const [, key, index] = path.match(/^(\w+)(?:\[(\d+)\])?/) || [];
+    if (!key) continue;
+    if (index !== undefined && Array.isArray(out[key])) (badItems[key] ||= new Set()).add(Number(index));
+    else delete out[key];
+  }
+  for (const [key, indexes] of Object.entries(badItems)) {
+    if (Array.isArray(out[key])) out[key] = out[key].filter((_, i) => !indexes.has(i));
+  }
+  return out;
+}
+
+// Human-readable names of the report sections that have errors.
+export function failedSections(errors, schema = ANALYSIS_SCHEMA) {
+  const labels = errors.map(({ path }) => {
+    const key = path.match(/^\w+/)?.[0];
+    return schema.properties[key]?.label || "Report structure";
+  });
+  return [...new Set(labels)];
+}
+
+export function describeErrors(errors) {
+  return errors.slice(0, 30).map(({ path, message }) => `${path || "(root)"}: ${message}`.slice(0, 200));
+}
@@ -0,0 +1,200 @@
+import { ApiRequestError, extractDocument, streamOperation } from "./api.js";
+import { analysisSchema, checkAnalysis, describeErrors, failedSections } from "./analysisSchema.js";
+import { docxToText } from "./docxText.js";
+import { applyGrade } from "./grading.js";
+import { MAX_PARTS, chunkLease } from "./leaseChunks.js";
+import { cleanText, decodeText, detectFormat } from "./leaseText.js";
+import { buildRedaction } from "./redaction.js";
+import { streamProgress } from "./streamProgress.js";
+import { reportAreas } from "./operatorMode.js";
+
+/* ─── LEASE PIPELINE ─── */
+
+export const isPdf = (f) => f.type === "application/pdf" || /\.pdf$/i.test(f.name);
+
+export function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result.split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Privacy mode reads the lease in the browser and keeps only its text, with
+// the identifiers found in it as `redaction`. The file itself is never sent,
+// so leases without a text layer (scans) or in the .doc format can't be used.
+async function loadLeaseLocally(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const format = detectFormat(bytes, file.name);
+  if (format === "doc") {
+    throw new ApiRequestError("privacy_unsupported", "Privacy mode can't read .doc files. Save the lease as a DOCX or PDF first.");
+  }
+
+  let text;
+  try {
+    if (format === "pdf") text = await (await import("./pdfText.js")).pdfToText(bytes);
+    else if (format === "docx") text = docxToText(bytes);
+    else if (format === "txt") text = decodeText(bytes);
+  } catch {
+    throw new ApiRequestError("invalid_file", "This file could not be read. It may be damaged or password protected.");
+  }
+  if (text === undefined) {
+    throw new ApiRequestError("unsupported_document", "Please upload a PDF, DOC, DOCX or TXT file.");
+  }
+
+  text = cleanText(text);
+  if (!text) {
+    throw format === "pdf"
+      ? new ApiRequestError("privacy_unsupported", "This PDF has no text layer (it may be a scan), so there is nothing to redact.")
+      : new ApiRequestError("invalid_file", "No text was found in this file.");
+  }
+  return { data: null, format, text, redaction: buildRedaction(text) };
+}
+
+// Reads an uploaded file into { data, format, text }. `data` is the base64
+// file and `text` the extracted lease text. Word and text leases are analyzed
+// from `text`; PDFs are analyzed as documents, and their text may be null
+// (scans) without blocking the analysis. With `privacy` the file is read
+// locally and the lease also has a `redaction` (see loadLeaseLocally).
+export async function loadLease(file, { signal, privacy = false } = {}) {
+  if (privacy) return loadLeaseLocally(file);
+  const data = await readAsBase64(file);
+  if (!isPdf(file)) {
+    const { format, text } = await extractDocument({ filename: file.name, data }, { signal });
+    return { data, format, text };
+  }
+  try {
+    const { text } = await extractDocument({ filename: file.name, data }, { signal });
+    return { data, format: "pdf", text: text || null };
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    return { data, format: "pdf", text: null };
+  }
+}
+
+// A redacted lease is always sent as its text; api.js redacts it.
+export function leaseDocument({ data, format, text, redaction }) {
+  return format === "pdf" && !redaction ? { media_type: "application/pdf", data } : { text };
+}
+
+// Thrown when the report is still incomplete after the corrective pass.
+export class AnalysisError extends Error {
+  constructor(sections, partial) {
+    super("Parts of the report could not be produced.");
+    this.name = "AnalysisError";
+    this.sections = sections;
+    this.partial = partial;
+  }
+}
+
+// A response cut off at max_tokens can still parse once repairJson closes its
+// brackets, and validate if the cut fell after the required keys, so a
+// truncated or repaired response counts as an error of its own.
+function checkPass(pass, check) {
+  const result = check(pass.text);
+  if (pass.stop_reason !== "max_tokens" && !result.repaired) return result;
+  return { ...result, errors: [{ path: "", message: "response was cut off" }, ...result.errors] };
+}
+
+// Runs a JSON-producing operation and returns the validated object. `check`
+// is checkAnalysis or a checkJson wrapper for `schema`. If the output fails
+// validation or was cut off, the model gets one corrective pass with the
+// errors; a second failure throws AnalysisError. `onText` receives the text of each pass as it
+// streams, with `retry` true during the corrective one; `onResponse` receives
+// each finished pass ({ text, stop_reason, usage, cached }). `redaction` is
+// passed on to streamOperation.
+export async function runJsonOperation(request, { schema, check, signal, onText, onResponse, redaction }) {
+  const first = await streamOperation(request, {
+    signal,
+    redaction,
+    onText: (t) => onText?.(t, false),
+  });
+  onResponse?.(first, false);
+  let result = checkPass(first, check);
+
+  if (result.errors.length) {
+    const second = await streamOperation(
+      { ...request, repair: { previous: first.text.slice(0, 40000), errors: describeErrors(result.errors) } },
+      { signal, redaction, onText: (t) => onText?.(t, true) },
+    );
+    onResponse?.(second, true);
+    const retried = checkPass(second, check);
+    if (retried.errors.length <= result.errors.length) result = retried;
+  }
+
+  if (result.errors.length) {
+    throw new AnalysisError(failedSections(result.errors, schema), result.analysis);
+  }
+  return result.analysis;
+}
+
+// Analyzes a long lease part by part, then has the model merge the partial
+// reports into one. A part still incomplete after its corrective pass goes
+// into the merge with what it has.
+async function analyzeInParts(parts, { fresh, perspective, progress, ...options }) {
+  if (parts.length > MAX_PARTS) {
+    throw new ApiRequestError("payload_too_large", "This lease is too long to analyze, even in parts.");
+  }
+  const count = parts.length;
+  const reports = [];
+  for (const [i, part] of parts.entries()) {
+    const index = i + 1;
+    try {
+      reports.push(await runJsonOperation(
+        { operation: "analyze", document: { text: part.text }, part: { index, count, sections: part.label }, ...perspective, ...(fresh && { fresh: true }) },
+        { ...options, onText: progress({ part: { index, count } }) },
+      ));
+    } catch (err) {
+      if (!(err instanceof AnalysisError) || !err.partial) throw err;
+      reports.push(err.partial);
+    }
+  }
+  return runJsonOperation(
+    { operation: "merge", parts: reports.map((r, i) => ({ part: parts[i].label, ...r })), ...perspective, ...(fresh && { fresh: true }) },
+    { ...options, onText: progress({ merging: count }) },
+  );
+}
+
+// Streams an analysis of `lease` (from loadLease) and returns the validated
+// report. `onProgress` receives streamProgress() snapshots; the corrective
+// pass is flagged with `retry: true`, and a long lease's passes with
+// `part: { index, count }` or `merging: count`. The proxy caches analyses of
+// identical leases; `fresh` skips the cache, and `onResponse` (see
+// runJsonOperation) tells whether a pass was served from it.
+//
+// The report's `grade` is computed from its findings (see grading.js), with
+// the model's letter kept as `model_grade`. When the lease text is known it
+// also gets `review: { sections, parts }`: how many clauses the lease has and
+// how many parts it was analyzed in.
+//
+// `profile` (see tenantProfile.js) tailors the critical areas, severities and
+// grade to the tenant's business, and is kept on the report as `profile`.
+// `mode: "operator"` audits the operator's own rental agreement instead (see
+// operatorMode.js); the report keeps `mode` and has no profile.
+export async function analyzeLease(lease, { signal, onProgress, onResponse, fresh = false, profile = null, mode = "tenant" } = {}) {
+  const chunks = lease.text ? chunkLease(lease.text) : null;
+  const review = chunks && { sections: chunks.sections, parts: chunks.parts.length };
+  // Sent with every request and kept on the report.
+  const perspective = mode === "operator" ? { mode } : profile ? { profile } : {};
+  const schema = analysisSchema({ areas: reportAreas(perspective), operator: mode === "operator" });
+  const options = { schema, check: (raw) => checkAnalysis(raw, schema), signal, onResponse, redaction: lease.redaction };
+  const context = { ...(review && { review }), ...perspective };
+  const progress = (extra) => (t, retry) => onProgress?.({ ...streamProgress(t), ...extra, ...(retry && { retry }) });
+
+  try {
+    const analysis = review?.parts > 1
+      ? await analyzeInParts(chunks.parts, { ...options, fresh, perspective, progress })
+      : await runJsonOperation(
+        { operation: "analyze", document: leaseDocument(lease), ...perspective, ...(fresh && { fresh: true }) },
+        { ...options, onText: progress() },
+      );
+    return applyGrade({ ...analysis, ...context });
+  } catch (err) {
+    // A report without even a summary is not worth showing in part.
+    if (err instanceof AnalysisError) {
+      err.partial = err.partial?.summary ? applyGrade({ ...err.partial, ...context }) : null;
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,123 @@
+import { redactRequest, restoreText } from "./redaction.js";
+
+/* ─── /api/claude CLIENT ─── */
+
+export class ApiRequestError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "ApiRequestError";
+    this.type = type;
+  }
+}
+
+// `?mock=<scenario>` on the page is passed on to the proxy, which only honors
+// it when running with CLAUDE_PROVIDER=mock (see api/_lib/mockProvider.js).
+const MOCK_SCENARIO = new URLSearchParams(globalThis.location?.search).get("mock");
+
+// The proxy already retries Anthropic's rate limits and overloads, so the
+// browser only retries when it can't reach the proxy at all.
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+async function post(body, signal, path = "/api/claude") {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetch(path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(MOCK_SCENARIO && { "X-Mock-Scenario": MOCK_SCENARIO }) },
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (err) {
+      // fetch rejects with a TypeError when the network fails, and with an
+      // AbortError when the user cancels.
+      if (signal?.aborted || !(err instanceof TypeError)) throw err;
+      if (attempt >= MAX_RETRIES) {
+        throw new ApiRequestError("network", "Couldn't reach the server. Check your connection and try again.");
+      }
+      await wait(RETRY_DELAY_MS * 2 ** attempt * (0.5 + Math.random()), signal);
+    }
+  }
+}
+
+async function readError(res) {
+  const data = await res.json().catch(() => null);
+  const error = data?.error;
+  // A 504 without our error body is the platform stopping a slow function.
+  const fallback = res.status === 504 ? "timeout" : "upstream_error";
+  return new ApiRequestError(error?.type || fallback, error?.message || `Request failed (${res.status})`);
+}
+
+async function* readEvents(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (event && data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+// One-shot request. Resolves to { text, stop_reason, usage, cached } where
+// `cached` is true when the proxy answered from its cache. With a privacy-mode
+// `redaction` (see redaction.js) the body is redacted before it is sent and
+// the real values are put back in the text that comes back.
+export async function callOperation(body, { signal, redaction } = {}) {
+  const res = await post(redactRequest(body, redaction), signal);
+  if (!res.ok) throw await readError(res);
+
+  const data = await res.json();
+  return {
+    text: restoreText(data.content?.map((b) => b.text || "").join("") || "", redaction),
+    stop_reason: data.stop_reason,
+    usage: data.usage,
+    cached: data.cached === true,
+  };
+}
+
+// Streaming request. `onText` receives the full text received so far after
+// every chunk. Resolves like callOperation once the stream completes.
+export async function streamOperation(body, { signal, onText, redaction } = {}) {
+  const res = await post(redactRequest({ ...body, stream: true }, redaction), signal);
+  if (!res.ok) throw await readError(res);
+
+  let text = "";
+  for await (const { event, data } of readEvents(res.body)) {
+    if (event === "delta") {
+      text += data.text;
+      onText?.(restoreText(text, redaction));
+    } else if (event === "error") {
+      throw new ApiRequestError(data.error?.type, data.error?.message);
+    } else if (event === "done") {
+      return { text: restoreText(text, redaction), stop_reason: data.stop_reason, usage: data.usage, cached: data.cached === true };
+    }
+  }
+  throw new ApiRequestError("stream_interrupted", "The connection closed before the analysis finished. Please try again.");
+}
+
+// Converts a DOCX, DOC or TXT upload to plain text on the server.
+// Resolves to { format, text, words }.
+export async function extractDocument({ filename, data }, { signal } = {}) {
+  const res = await post({ filename, data }, signal, "/api/extract");
+  if (!res.ok) throw await readError(res);
+  return res.json();
+}
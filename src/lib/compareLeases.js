@@ -0,0 +1,136 @@
+import { reportAreas } from "./operatorMode.js";
+
+/* ─── VALUE PARSING ─── */
+
+// The money and dates fields are model-written prose ("$1,200/month plus
+// CAM"), so comparisons pull the first figure out and give up otherwise.
+
+const NONE = /^(none|n\/a|not found|no\b)/i;
+
+export function parseMonthlyAmount(str) {
+  const m = str?.match(/\$\s?([\d,]+(?:\.\d+)?)\s*(k\b)?/i);
+  if (!m) return null;
+  let amount = Number(m[1].replace(/,/g, "")) * (m[2] ? 1000 : 1);
+  if (/week|wk/i.test(str)) amount = (amount * 52) / 12;
+  else if (/year|annual|yr/i.test(str)) amount /= 12;
+  return amount;
+}
+
+export function parseAmount(str) {
+  const m = str?.match(/\$\s?([\d,]+(?:\.\d+)?)\s*(k\b)?/i);
+  return m ? Number(m[1].replace(/,/g, "")) * (m[2] ? 1000 : 1) : null;
+}
+
+export function parsePercent(str) {
+  const m = str?.match(/(\d+(?:\.\d+)?)\s?%/);
+  if (m) return Number(m[1]);
+  return str && (NONE.test(str) || /no (annual )?(increase|escalation)/i.test(str)) ? 0 : null;
+}
+
+// Returns a duration in days, or null.
+export function parseDays(str) {
+  const m = str?.match(/(\d+)\s*(day|week|month|year)/i);
+  if (!m) return null;
+  const unit = { day: 1, week: 7, month: 30, year: 365 }[m[2].toLowerCase()];
+  return Number(m[1]) * unit;
+}
+
+const present = (v) => v && v !== "Not found";
+
+export function realFees(money) {
+  return (money?.fees || []).filter((f) => f && !NONE.test(f));
+}
+
+/* ─── MATRIX ─── */
+
+// Scores are "higher is better". A row highlights every lease sharing the top
+// score, but only when the leases actually differ.
+function bestOf(scores) {
+  const known = scores.filter((s) => s !== null && s !== undefined);
+  if (known.length < 2) return [];
+  const top = Math.max(...known);
+  if (known.every((s) => s === top)) return [];
+  return scores.flatMap((s, i) => (s === top ? [i] : []));
+}
+
+function row(label, analyses, cell, score) {
+  const scores = score ? analyses.map((a) => score(a)) : [];
+  return { label, cells: analyses.map((a) => cell(a)), best: score ? bestOf(scores) : [] };
+}
+
+const GRADE_SCORE = { A: 5, B: 4, C: 3, D: 2, F: 1 };
+const COVERAGE_SCORE = { favorable: 3, unclear: 2, missing: 1, unfavorable: 0 };
+
+const negate = (v) => (v === null ? null : -v);
+
+// Every critical area any of the leases was rated on: leases analyzed for
+// different tenant profiles can rate different areas.
+function comparedAreas(analyses) {
+  const areas = new Map();
+  for (const a of analyses) for (const area of reportAreas(a)) areas.set(area.id, area);
+  return [...areas.values()];
+}
+
+// Lines up 2–4 analyses into grouped rows of { label, cells, best }, where
+// `cells[i]` is { text, sub? } for analyses[i] and `best` lists the indexes of
+// the most tenant-friendly terms.
+export function buildComparison(analyses) {
+  const high = (a) => (a.red_flags || []).filter((f) => f.severity === "high").length;
+
+  return [
+    {
+      group: "Overall",
+      rows: [
+        row("Grade", analyses, (a) => ({ text: a.grade || "—" }), (a) => GRADE_SCORE[a.grade] ?? null),
+        row(
+          "Red flags",
+          analyses,
+          (a) => ({ text: String(a.red_flags?.length || 0), sub: high(a) ? `${high(a)} high` : null }),
+          (a) => -((a.red_flags?.length || 0) + high(a)),
+        ),
+        row("Green flags", analyses, (a) => ({ text: String(a.green_flags?.length || 0) }), (a) => a.green_flags?.length || 0),
+        row("Missing clauses", analyses, (a) => ({ text: String(a.missing?.length || 0) }), (a) => -(a.missing?.length || 0)),
+      ],
+    },
+    {
+      group: "Financials",
+      rows: [
+        row("Rent", analyses, (a) => ({ text: a.money?.rent || "—" }), (a) => negate(parseMonthlyAmount(a.money?.rent))),
+        row("Deposit", analyses, (a) => ({ text: a.money?.deposit || "—" }), (a) => negate(parseAmount(a.money?.deposit))),
+        row("Escalation", analyses, (a) => ({ text: a.money?.escalation || "—" }), (a) => negate(parsePercent(a.money?.escalation))),
+        row(
+          "Fees",
+          analyses,
+          (a) => ({ text: realFees(a.money).length ? realFees(a.money).join("; ") : "None listed" }),
+          (a) => (a.money ? -realFees(a.money).length : null),
+        ),
+      ],
+    },
+    {
+      group: "Key dates",
+      rows: [
+        // Whether a longer or shorter term is better depends on the tenant's
+        // plans, so the term row is informational only.
+        row("Term", analyses, (a) => ({ text: a.dates?.term || "—" })),
+        row("Notice", analyses, (a) => ({ text: a.dates?.notice || "—" }), (a) => negate(parseDays(a.dates?.notice))),
+        row(
+          "Renewal",
+          analyses,
+          (a) => ({ text: a.dates?.renewal || "—" }),
+          (a) => (present(a.dates?.renewal) ? (NONE.test(a.dates.renewal) ? 0 : 1) : null),
+        ),
+      ],
+    },
+    {
+      group: "Critical areas",
+      rows: comparedAreas(analyses).map((area) =>
+        row(
+          area.label,
+          analyses,
+          (a) => ({ text: a.coverage?.[area.id] || "—", status: a.coverage?.[area.id] }),
+          (a) => COVERAGE_SCORE[a.coverage?.[area.id]] ?? null,
+        ),
+      ),
+    },
+  ];
+}
@@ -0,0 +1,36 @@
+/* ─── CRITICAL AREAS ─── */
+
+// The lease topics every analysis must cover. Shared by the server prompt and
+// the UI: the model reports `coverage` keyed by these ids.
+export const CRITICAL_AREAS = [
+  { id: "buildout", label: "Tenant improvement (TI) allowances & buildout" },
+  { id: "early_termination", label: "Early termination clauses & penalties" },
+  { id: "fees", label: "All fees: CAM, maintenance, marketing, association" },
+  { id: "exclusive_use", label: "Exclusive use / non-compete clauses" },
+  { id: "subletting", label: "Subletting & booth rental permissions" },
+  { id: "personal_guarantee", label: "Personal guarantee requirements" },
+  { id: "repairs", label: "HVAC/plumbing/electrical repair responsibility" },
+  { id: "signage_hours", label: "Signage rights & operating hours" },
+  { id: "assignment", label: "Assignment clause (transferring if selling business)" },
+  { id: "improvements_ownership", label: "Who owns buildout improvements at lease end" },
+  { id: "force_majeure", label: "Force majeure / pandemic provisions" },
+  { id: "default_cure", label: "Default and cure periods" },
+];
+
+// What an operator auditing their own suite rental agreement needs it to
+// cover. In operator mode `coverage` is keyed by these ids, and the tenant's
+// areas above are rated from the renter's side in `tenant_coverage`.
+export const OPERATOR_AREAS = [
+  { id: "late_fees", label: "Late fees, grace period & collection costs" },
+  { id: "damage", label: "Damage to the suite, deposit deductions & move-out condition" },
+  { id: "insurance", label: "Renter insurance requirements & naming the operator as insured" },
+  { id: "licensing", label: "Cosmetology licensing & health code compliance" },
+  { id: "indemnity", label: "Indemnity for the renter's clients, products & services" },
+  { id: "default_remedies", label: "Default, cure periods & removing a renter" },
+  { id: "independent_business", label: "Renter as an independent business, not an employee" },
+  { id: "building_rules", label: "Permitted services, hours, common areas & building rules" },
+  { id: "term_termination", label: "Term, renewal & the operator's termination rights" },
+  { id: "transfer", label: "Assignment, subletting & sharing the suite" },
+];
+
+export const COVERAGE_STATUSES = ["favorable", "unfavorable", "unclear", "missing"];
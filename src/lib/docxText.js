@@ -0,0 +1,250 @@
+import { strFromU8, unzipSync } from "fflate";
+
+/* ─── DOCX TEXT EXTRACTION ─── */
+
+// Reads word/document.xml directly so that automatic numbering ("Article IV",
+// "4.2", "(b)") and heading styles survive — leases cite clauses by these
+// numbers and the analysis has to be able to quote them back.
+
+const TAG = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+function attr(attrs, name) {
+  return attrs.match(new RegExp(`${name}="([^"]*)"`))?.[1];
+}
+
+function decode(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Yields { close, name, attrs, selfClosing } for tags and { text } for text.
+function* tokens(xml) {
+  for (const m of xml.matchAll(TAG)) {
+    if (m[5] !== undefined) yield { text: m[5] };
+    else yield { close: m[1] === "/", name: m[2], attrs: m[3], selfClosing: m[4] === "/" };
+  }
+}
+
+/* ─── NUMBERING ─── */
+
+function parseNumbering(xml) {
+  const abstracts = {};
+  const nums = {};
+  if (!xml) return { abstracts, nums };
+
+  let abstractId = null;
+  let level = null;
+  let numId = null;
+  for (const t of tokens(xml)) {
+    if (t.text !== undefined) continue;
+    if (t.name === "w:abstractNum") {
+      abstractId = t.close ? null : attr(t.attrs, "w:abstractNumId");
+      if (abstractId) abstracts[abstractId] = {};
+    } else if (t.name === "w:lvl" && abstractId !== null) {
+      level = t.close ? null : { start: 1, fmt: "decimal", text: "" };
+      if (level) abstracts[abstractId][attr(t.attrs, "w:ilvl")] = level;
+    } else if (level && !t.close) {
+      if (t.name === "w:start") level.start = Number(attr(t.attrs, "w:val"));
+      if (t.name === "w:numFmt") level.fmt = attr(t.attrs, "w:val");
+      if (t.name === "w:lvlText") level.text = decode(attr(t.attrs, "w:val") || "");
+      if (t.name === "w:isLgl") level.legal = true;
+    } else if (t.name === "w:num") {
+      numId = t.close ? null : attr(t.attrs, "w:numId");
+    } else if (t.name === "w:abstractNumId" && numId !== null) {
+      nums[numId] = attr(t.attrs, "w:val");
+    }
+  }
+  return { abstracts, nums };
+}
+
+function roman(n) {
+  const table = [[1000, "m"], [900, "cm"], [500, "d"], [400, "cd"], [100, "c"], [90, "xc"],
+    [50, "l"], [40, "xl"], [10, "x"], [9, "ix"], [5, "v"], [4, "iv"], [1, "i"]];
+  let out = "";
+  for (const [value, glyph] of table) {
+    while (n >= value) {
+      out += glyph;
+      n -= value;
+    }
+  }
+  return out;
+}
+
+function letter(n) {
+  // Word repeats letters past z: aa, bb, ...
+  const ch = String.fromCharCode(97 + ((n - 1) % 26));
+  return ch.repeat(Math.floor((n - 1) / 26) + 1);
+}
+
+function formatNumber(n, fmt) {
+  switch (fmt) {
+    case "upperRoman": return roman(n).toUpperCase();
+    case "lowerRoman": return roman(n);
+    case "upperLetter": return letter(n).toUpperCase();
+    case "lowerLetter": return letter(n);
+    case "decimalZero": return String(n).padStart(2, "0");
+    case "bullet": return "•";
+    case "none": return "";
+    default: return String(n);
+  }
+}
+
+// Tracks the running counters of every list and renders a paragraph's label.
+function numberer({ abstracts, nums }) {
+  const counters = {};
+  return (numId, ilvl) => {
+    const levels = abstracts[nums[numId]];
+    const lvl = levels?.[ilvl];
+    if (!lvl) return "";
+    if (lvl.fmt === "bullet") return "•";
+
+    const count = (counters[numId] ||= []);
+    count[ilvl] = (count[ilvl] ?? lvl.start - 1) + 1;
+    count.length = Number(ilvl) + 1;
+
+    return lvl.text.replace(/%(\d)/g, (_, d) => {
+      const i = Number(d) - 1;
+      const at = levels[i];
+      // "Legal" numbering shows every level as a decimal: 4.2 rather than IV.2.
+      return at ? formatNumber(count[i] ?? at.start, lvl.legal ? "decimal" : at.fmt) : "";
+    });
+  };
+}
+
+/* ─── STYLES ─── */
+
+// styleId → { heading: level | 0, numId, ilvl } with basedOn inheritance.
+function parseStyles(xml) {
+  const raw = {};
+  if (!xml) return {};
+
+  let current = null;
+  for (const t of tokens(xml)) {
+    if (t.text !== undefined) continue;
+    if (t.name === "w:style") {
+      current = t.close ? null : { id: attr(t.attrs, "w:styleId") };
+      if (current) raw[current.id] = current;
+    } else if (current && !t.close) {
+      if (t.name === "w:name") current.name = (attr(t.attrs, "w:val") || "").toLowerCase();
+      if (t.name === "w:basedOn") current.basedOn = attr(t.attrs, "w:val");
+      if (t.name === "w:numId") current.numId = attr(t.attrs, "w:val");
+      if (t.name === "w:ilvl") current.ilvl = attr(t.attrs, "w:val");
+      if (t.name === "w:outlineLvl") current.outline = Number(attr(t.attrs, "w:val")) + 1;
+    }
+  }
+
+  const resolve = (id, depth = 0) => {
+    const s = raw[id];
+    if (!s || depth > 10) return {};
+    const parent = s.basedOn ? resolve(s.basedOn, depth + 1) : {};
+    const heading = s.name === "title" ? 1 : Number(s.name?.match(/^heading (\d)/)?.[1]) || s.outline || 0;
+    return {
+      heading: heading || parent.heading || 0,
+      numId: s.numId ?? parent.numId,
+      ilvl: s.ilvl ?? parent.ilvl ?? "0",
+    };
+  };
+  return Object.fromEntries(Object.keys(raw).map((id) => [id, resolve(id)]));
+}
+
+/* ─── DOCUMENT ─── */
+
+export function docxToText(buffer) {
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: (f) => /^word\/(document|numbering|styles)\.xml$/.test(f.name),
+  });
+  const read = (name) => (files[name] ? strFromU8(files[name]) : null);
+
+  const documentXml = read("word/document.xml");
+  if (!documentXml) throw new Error("word/document.xml not found");
+
+  const styles = parseStyles(read("word/styles.xml"));
+  const label = numberer(parseNumbering(read("word/numbering.xml")));
+
+  const blocks = [];
+  let para = null;
+  let row = null;
+  let cell = null;
+  let inText = false;
+  let skip = 0; // depth inside content that duplicates or hides text
+
+  const finishParagraph = () => {
+    const style = styles[para.style] || {};
+    const numId = para.numId ?? style.numId;
+    const ilvl = para.ilvl ?? style.ilvl ?? "0";
+    const prefix = numId && numId !== "0" ? label(numId, ilvl) : "";
+    const text = para.text.replace(/[ \u00a0]+/g, " ").trim();
+    if (!text) return;
+
+    const line = prefix ? `${prefix} ${text}` : text;
+    if (cell) cell.push(line);
+    else blocks.push(style.heading ? `${"#".repeat(Math.min(style.heading, 4))} ${line}` : line);
+  };
+
+  for (const t of tokens(documentXml)) {
+    if (t.text !== undefined) {
+      if (inText && para && !skip) para.text += decode(t.text);
+      continue;
+    }
+    const open = !t.close;
+    switch (t.name) {
+      case "mc:Fallback":
+      case "w:tabs":
+      case "w:delText":
+      case "w:instrText":
+        if (!t.selfClosing) skip += open ? 1 : -1;
+        break;
+      case "w:p":
+        if (t.selfClosing) break;
+        if (open) para = { text: "" };
+        else if (para) {
+          finishParagraph();
+          para = null;
+        }
+        break;
+      case "w:pStyle":
+        if (para) para.style = attr(t.attrs, "w:val");
+        break;
+      case "w:numId":
+        if (para) para.numId = attr(t.attrs, "w:val");
+        break;
+      case "w:ilvl":
+        if (para) para.ilvl = attr(t.attrs, "w:val");
+        break;
+      case "w:t":
+        inText = open && !t.selfClosing;
+        break;
+      case "w:tab":
+        if (para && !t.close && !skip) para.text += "\t";
+        break;
+      case "w:br":
+      case "w:cr":
+        if (para && !t.close && !skip) para.text += "\n";
+        break;
+      case "w:tr":
+        if (open) row = [];
+        else if (row) {
+          if (row.some(Boolean)) blocks.push(row.join(" | "));
+          row = null;
+        }
+        break;
+      case "w:tc":
+        if (open) cell = [];
+        else if (cell) {
+          row?.push(cell.join(" "));
+          cell = null;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return blocks.join("\n\n");
+}
@@ -0,0 +1,85 @@
+import { strToU8, zipSync } from "fflate";
+
+/* ─── DOCX WRITER ─── */
+
+// Just enough WordprocessingML for a plain document of styled paragraphs, so
+// Word, Pages and Google Docs open it as an ordinary editable file.
+export const DOCX_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${REL}/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Sizes are in half-points, spacing in twentieths of a point.
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="200" w:line="276" w:lineRule="auto"/><w:jc w:val="both"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:spacing w:after="360"/></w:pPr><w:rPr><w:b/><w:caps/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Note"><w:name w:val="Note"/><w:basedOn w:val="Normal"/><w:rPr><w:i/><w:sz w:val="20"/></w:rPr></w:style>
+</w:styles>`;
+
+const escapeXml = (s) => String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  // Control characters are not allowed in XML 1.0.
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+function run({ text, bold }) {
+  return `<w:r>${bold ? "<w:rPr><w:b/></w:rPr>" : ""}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function paragraph({ style, runs }) {
+  const props = style && style !== "Normal" ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+  return `<w:p>${props}${runs.map(run).join("")}</w:p>`;
+}
+
+// Builds a .docx Blob from [{ style?, runs: [{ text, bold? }] }]. `style` is
+// "Title", "Note" or "Normal" (the default). A line break in a run's text
+// starts a new paragraph with the same style.
+export function buildDocx(paragraphs) {
+  const body = paragraphs.flatMap(({ style, runs }) => {
+    // Split runs on newlines into paragraph-sized groups.
+    const groups = [[]];
+    for (const r of runs) {
+      String(r.text).split("\n").forEach((line, i) => {
+        if (i > 0) groups.push([]);
+        if (line) groups[groups.length - 1].push({ ...r, text: line });
+      });
+    }
+    return groups.map((g) => paragraph({ style, runs: g }));
+  }).join("");
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W}"><w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const zip = zipSync({
+    "[Content_Types].xml": strToU8(CONTENT_TYPES),
+    "_rels/.rels": strToU8(ROOT_RELS),
+    "word/_rels/document.xml.rels": strToU8(DOCUMENT_RELS),
+    "word/styles.xml": strToU8(STYLES),
+    "word/document.xml": strToU8(document),
+  });
+  return new Blob([zip], { type: DOCX_TYPE });
+}
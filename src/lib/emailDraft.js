@@ -0,0 +1,125 @@
+import { callOperation } from "./api.js";
+import { NEGOTIATION_STATUSES, isResolved, trackedStatus, trackerId } from "./negotiation.js";
+
+/* ─── EMAIL DRAFT ─── */
+
+// Values are the ones the proxy's email operation accepts.
+export const EMAIL_RECIPIENTS = [
+  { value: "realtor", label: "Realtor" },
+  { value: "landlord", label: "Landlord / PM" },
+  { value: "attorney", label: "Attorney" },
+];
+
+export const EMAIL_TONES = [
+  { value: "collaborative", label: "Collaborative" },
+  { value: "firm", label: "Firm" },
+  { value: "final_offer", label: "Final offer" },
+];
+
+const KINDS = {
+  red_flags: "RED FLAG",
+  attention: "NEEDS CLARIFICATION",
+  missing: "MISSING CLAUSE",
+};
+
+const STATUS_LABELS = Object.fromEntries(NEGOTIATION_STATUSES.map((s) => [s.value, s.label.toLowerCase()]));
+
+// The proxy rejects a point longer than 1000 characters (MAX_POINT_LENGTH in
+// api/_lib/operations.js). Points are kept a little shorter, since in privacy
+// mode a placeholder can be longer than the name or number it replaces.
+export const MAX_POINT_LENGTH = 900;
+
+const clip = (text, length) => (text.length > length ? `${text.slice(0, Math.max(0, length - 1))}…` : text);
+
+// The line sent to the model for one item, with where the issue stands so a
+// follow-up email picks up from there. A long tracker note is shortened first,
+// then the item itself.
+function emailPoint(base, entry) {
+  const status = entry.status !== "not_raised" ? ` Status so far: ${STATUS_LABELS[entry.status]}.` : "";
+  const room = MAX_POINT_LENGTH - base.length - status.length - " Notes: ".length;
+  const note = entry.note && room >= 40 ? ` Notes: ${clip(entry.note, room)}` : "";
+  return clip(base, MAX_POINT_LENGTH - status.length - note.length) + status + note;
+}
+
+// Every item the email can raise, as
+// [{ id, kind, title, section, status, open, point }] where `point` is the
+// line sent to the model, `status` comes from the negotiation tracker and
+// `open` is false once the issue is resolved there.
+export function emailCandidates(analysis, negotiation = {}) {
+  const point = (kind, title, detail, extra) => `${KINDS[kind]}: ${title} — ${detail}${extra || ""}`;
+  return [
+    ...(analysis.red_flags || []).map((f, i) => ({
+      id: trackerId("red_flags", i, f), kind: "red_flags", title: f.title, section: f.section ?? null,
+      point: point("red_flags", f.title, f.detail, f.fix && ` Requested change: ${f.fix}`),
+    })),
+    ...(analysis.attention || []).map((a, i) => ({
+      id: trackerId("attention", i, a), kind: "attention", title: a.title, section: a.section ?? null,
+      point: point("attention", a.title, a.detail, a.ask && ` Question: ${a.ask}`),
+    })),
+    ...(analysis.missing || []).map((m, i) => ({
+      id: trackerId("missing", i, m), kind: "missing", title: m.title, section: null,
+      point: point("missing", m.title, m.detail),
+    })),
+  ].map((c) => {
+    const entry = trackedStatus(negotiation, c.id);
+    return { ...c, status: entry.status, open: !isResolved(entry), point: emailPoint(c.point, entry) };
+  });
+}
+
+// "Subject: ..." on the first line, then the body. Emails drafted before
+// subjects were added have no subject line.
+export function splitEmail(text) {
+  const m = (text || "").match(/^Subject:[ \t]*(.*)\r?\n+/i);
+  return m ? { subject: m[1].trim(), body: text.slice(m[0].length) } : { subject: "", body: text || "" };
+}
+
+export function joinEmail({ subject, body }) {
+  return subject ? `Subject: ${subject}\n\n${body}` : body;
+}
+
+// Drafts an email raising `items` (from emailCandidates, in order). Resolves
+// to the text in the "Subject: ...\n\nbody" form splitEmail reads.
+// `redaction` is the lease's, in privacy mode.
+export async function draftEmail(items, { recipient, tone, signal, redaction } = {}) {
+  const { text } = await callOperation(
+    { operation: "email", points: items.map((item) => item.point), recipient, tone },
+    { signal, redaction },
+  );
+  const { subject, body } = splitEmail(text.trim());
+  return joinEmail({ subject, body: body.trim() });
+}
+
+// RFC 2047 encoded-word, for a subject with non-ASCII characters.
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const bytes = new TextEncoder().encode(value);
+  return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+}
+
+// An unsent message that mail clients open as a draft, ready to edit and send.
+export function buildEml({ to, subject, body }) {
+  const headers = [
+    ...(to ? [`To: ${to}`] : []),
+    `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, " "))}`,
+    "X-Unsent: 1",
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const text = `${headers.join("\r\n")}\r\n\r\n${body.replace(/\r?\n/g, "\r\n")}\r\n`;
+  return new Blob([text], { type: "message/rfc822" });
+}
+
+// Some mail clients truncate or refuse very long mailto: links; the .eml
+// download has no such limit.
+export const MAILTO_MAX_LENGTH = 2000;
+
+export function mailtoLink({ to, subject, body }) {
+  const query = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body.replace(/\r?\n/g, "\r\n"))}`;
+  return `mailto:${to ? encodeURIComponent(to).replace(/%40/g, "@") : ""}?${query}`;
+}
+
+// "lease.pdf" -> "lease-email.eml"
+export function emlFileName(fileName) {
+  return `${(fileName || "").replace(/\.[^.]+$/, "") || "lease"}-email.eml`;
+}
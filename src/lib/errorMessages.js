@@ -0,0 +1,79 @@
+/* ─── ERROR CATEGORIES ─── */
+
+// What the error card says for each error `type` the API (or api.js) reports:
+// a title, the next step, and which button leads to it. "retry" runs the same
+// lease again; "replace" goes back to the upload screen.
+const CATEGORIES = {
+  rate_limited: {
+    title: "Too many requests",
+    hint: "Wait a minute or two, then try again. Your lease is still loaded.",
+    action: "retry",
+  },
+  overloaded: {
+    title: "The service is busy",
+    hint: "This usually clears within a minute. Try again shortly.",
+    action: "retry",
+  },
+  timeout: {
+    title: "The analysis timed out",
+    hint: "Long or scanned leases take longer. Try again, or upload a text-based PDF or DOCX.",
+    action: "retry",
+  },
+  upstream_unreachable: {
+    title: "Couldn't reach the analysis service",
+    hint: "This is usually temporary. Try again in a moment.",
+    action: "retry",
+  },
+  network: {
+    title: "You appear to be offline",
+    hint: "Check your internet connection, then try again.",
+    action: "retry",
+  },
+  stream_interrupted: {
+    title: "The connection dropped",
+    hint: "The analysis stopped partway through. Try again.",
+    action: "retry",
+  },
+  privacy_unsupported: {
+    title: "Privacy mode can't read this file",
+    hint: "Privacy mode needs a text-based PDF, DOCX or TXT. Turn it off to analyze the file as it is.",
+    action: "replace",
+  },
+  payload_too_large: {
+    title: "This lease is too large",
+    hint: "Upload a smaller file, or only the pages with the lease terms.",
+    action: "replace",
+  },
+  invalid_file: {
+    title: "This file couldn't be read",
+    hint: "Make sure it isn't password protected or damaged, or export it again as a PDF or DOCX.",
+    action: "replace",
+  },
+  unsupported_document: {
+    title: "Unsupported file type",
+    hint: "Upload the lease as a PDF, DOC, DOCX or TXT file.",
+    action: "replace",
+  },
+  invalid_request: {
+    title: "This document couldn't be processed",
+    hint: "Try a different copy of the lease, such as a PDF export.",
+    action: "replace",
+  },
+  server_misconfigured: {
+    title: "The service is unavailable",
+    hint: "This is a problem on our side, not with your lease. Please try again later.",
+    action: "replace",
+  },
+};
+
+const DEFAULT = {
+  title: "Something went wrong",
+  hint: null,
+  action: "retry",
+};
+
+// Returns { title, message, hint, action } for an error with an optional `type`.
+export function describeError(err) {
+  const category = CATEGORIES[err?.type] || DEFAULT;
+  return { ...category, message: err?.message || "Analysis failed" };
+}
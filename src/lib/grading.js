@@ -0,0 +1,112 @@
+import { reportAreas } from "./operatorMode.js";
+import { profileFocus } from "./tenantProfile.js";
+
+/* ─── GRADING ─── */
+
+// The headline grade is computed from the report rather than taken from the
+// model, so the same findings always earn the same letter. A lease starts at
+// `base` points; each finding adds `weight` points (negative for problems).
+// Green flags only earn credit up to `max`. A report analyzed for a tenant
+// profile also loses `focus` points for each area that profile weighs most
+// (see profileFocus) the lease leaves unfavorable or missing. Market flags
+// computed from example comparables (`sample`) are shown but not scored.
+export const DEFAULT_GRADE_WEIGHTS = {
+  base: 80,
+  high: { label: "High-risk red flags", weight: -8 },
+  medium: { label: "Medium-risk red flags", weight: -4 },
+  missing: { label: "Critical areas not addressed", weight: -3 },
+  focus: { label: "Key areas for your business at risk", weight: -3 },
+  green: { label: "Green flags", weight: 2, max: 10 },
+};
+
+// The defaults with overrides applied, as configured in VITE_GRADE_WEIGHTS:
+// `base` is a number, and each finding takes its weight as a number or
+// { weight, max }, e.g. {"high": -10, "green": {"weight": 3, "max": 12}}.
+// Unknown keys and non-numbers are ignored.
+export function gradeWeights(overrides) {
+  const weights = structuredClone(DEFAULT_GRADE_WEIGHTS);
+  if (!overrides || typeof overrides !== "object") return weights;
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in weights)) continue;
+    if (key === "base") {
+      if (Number.isFinite(value)) weights.base = value;
+      continue;
+    }
+    const { weight, max } = typeof value === "number" ? { weight: value } : value || {};
+    if (Number.isFinite(weight)) weights[key].weight = weight;
+    if (Number.isFinite(max)) weights[key].max = max;
+  }
+  return weights;
+}
+
+function configuredWeights() {
+  const raw = import.meta.env?.VITE_GRADE_WEIGHTS;
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn("VITE_GRADE_WEIGHTS is not valid JSON; using the default grade weights.");
+    return null;
+  }
+}
+
+// The weights this build grades with.
+export const GRADE_WEIGHTS = gradeWeights(configuredWeights());
+
+// Lowest score for each grade, best first.
+export const GRADE_BANDS = [
+  { grade: "A", min: 90 },
+  { grade: "B", min: 75 },
+  { grade: "C", min: 55 },
+  { grade: "D", min: 40 },
+  { grade: "F", min: 0 },
+];
+
+// Critical areas the model marked "missing"; reports without coverage fall
+// back to their list of missing clauses.
+function missingCount(analysis) {
+  if (analysis.coverage && typeof analysis.coverage === "object") {
+    return reportAreas(analysis).filter((a) => analysis.coverage[a.id] === "missing").length;
+  }
+  return analysis.missing?.length || 0;
+}
+
+function focusCount(analysis) {
+  const coverage = analysis.coverage || {};
+  return profileFocus(analysis.profile).filter((id) => ["unfavorable", "missing"].includes(coverage[id])).length;
+}
+
+// Returns { grade, score, base, items: [{ key, label, count, weight, points }] }
+// for a report, or null when it lacks the flag lists to score.
+export function scoreLease(analysis, weights = GRADE_WEIGHTS) {
+  if (!Array.isArray(analysis?.red_flags) || !Array.isArray(analysis?.green_flags)) return null;
+  const redFlags = analysis.red_flags.filter((f) => !f.sample);
+  const counts = {
+    high: redFlags.filter((f) => f.severity === "high").length,
+    medium: redFlags.filter((f) => f.severity !== "high").length,
+    missing: missingCount(analysis),
+    ...(analysis.profile && { focus: focusCount(analysis) }),
+    green: analysis.green_flags.length,
+  };
+
+  const items = Object.entries(counts).map(([key, count]) => {
+    const { label, weight, max } = weights[key];
+    const points = count * weight;
+    return { key, label, count, weight, points: max === undefined ? points : Math.min(points, max) };
+  });
+  const raw = items.reduce((sum, i) => sum + i.points, weights.base);
+  const score = Math.max(0, Math.min(100, raw));
+  const { grade } = GRADE_BANDS.find((b) => score >= b.min);
+  return { grade, score, base: weights.base, items };
+}
+
+// Replaces the model's letter with the computed one, keeping the model's as
+// `model_grade` and the weights used as `grade_weights` (which the "How was
+// this graded?" panel scores with). Safe to apply again, e.g. to a report
+// opened from history.
+export function applyGrade(analysis, weights = GRADE_WEIGHTS) {
+  const scored = scoreLease(analysis, weights);
+  if (!scored) return analysis;
+  const modelGrade = analysis.model_grade ?? analysis.grade ?? null;
+  return { ...analysis, grade: scored.grade, model_grade: modelGrade, grade_weights: weights };
+}
@@ -0,0 +1,120 @@
+/* ─── REPORT HISTORY ─── */
+
+// Analyses are kept in IndexedDB so a report survives a refresh and can be
+// reopened weeks later. The small "reports" store holds what the history list
+// shows; the lease, the full analysis and the email live in "documents" under
+// the same id so listing never loads a multi-megabyte PDF.
+const DB_NAME = "redline";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("Saved reports aren't available in this browser."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("reports", { keyPath: "id" });
+        db.createObjectStore("documents", { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs `fn(stores)` in one transaction and resolves with its return value once
+// the transaction commits.
+async function transact(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+    let result;
+    Promise.resolve(fn(stores)).then((value) => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("The transaction was aborted."));
+  });
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const newId = () => globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Saves a finished analysis. `file` is the uploaded File (kept so a reopened
+// report can still be exported and compared against a revision). Resolves to
+// the new report's id.
+export async function saveReport({ file, lease, analysis, email = "", chat = [], negotiation = {} }) {
+  const id = newId();
+  const now = Date.now();
+  const meta = {
+    id,
+    name: file.name.replace(/\.[^.]+$/, ""),
+    fileName: file.name,
+    grade: analysis.grade ?? null,
+    summary: analysis.summary ?? "",
+    createdAt: now,
+    updatedAt: now,
+  };
+  await transact(["reports", "documents"], "readwrite", ({ reports, documents }) => {
+    reports.put(meta);
+    documents.put({ id, file, lease, analysis, email, chat, negotiation });
+  });
+  return id;
+}
+
+// All saved reports, newest first, without their documents.
+export async function listReports() {
+  const all = await transact(["reports"], "readonly", ({ reports }) => request(reports.getAll()));
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// A saved report with its { file, lease, analysis, email, chat, negotiation },
+// or null.
+export async function loadReport(id) {
+  return transact(["reports", "documents"], "readonly", async ({ reports, documents }) => {
+    const [meta, doc] = await Promise.all([request(reports.get(id)), request(documents.get(id))]);
+    return meta && doc ? { ...meta, ...doc } : null;
+  });
+}
+
+// Renames a report (`name`) or stores a newly drafted email (`email`), the
+// Q&A conversation about the lease (`chat`), the negotiation tracker
+// (`negotiation`) or a re-benchmarked analysis (`analysis`).
+export async function updateReport(id, { name, email, chat, negotiation, analysis }) {
+  const changes = Object.fromEntries(
+    Object.entries({ email, chat, negotiation, analysis }).filter(([, value]) => value !== undefined),
+  );
+  await transact(["reports", "documents"], "readwrite", async ({ reports, documents }) => {
+    const meta = await request(reports.get(id));
+    if (!meta) return;
+    reports.put({
+      ...meta,
+      ...(name !== undefined && { name }),
+      ...(analysis && { grade: analysis.grade ?? null }),
+      updatedAt: Date.now(),
+    });
+    if (Object.keys(changes).length) {
+      const doc = await request(documents.get(id));
+      if (doc) documents.put({ ...doc, ...changes });
+    }
+  });
+}
+
+export async function deleteReport(id) {
+  await transact(["reports", "documents"], "readwrite", ({ reports, documents }) => {
+    reports.delete(id);
+    documents.delete(id);
+  });
+}
@@ -0,0 +1,184 @@
+/* ─── KEY DATES ─── */
+
+// The model reports `key_dates` either as calendar dates or relative to the
+// commencement or expiration date ("90 days before the end of the term"),
+// since most leases leave the start date blank until signing. This module
+// places them on the calendar once a commencement date is known and writes
+// them out as an iCalendar file.
+//
+// Days are handled as UTC midnight timestamps so time zones never shift them.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const KEY_DATE_LABELS = {
+  commencement: "Commencement",
+  expiration: "Expiration",
+  escalation: "Rent increase",
+  renewal_notice: "Renewal notice",
+  termination_window: "Early termination",
+  other: "Key date",
+};
+
+// Reminders, in days ahead: a month and a week for deadlines, a week otherwise.
+const DEADLINE_REMINDERS = [30, 7];
+const DATE_REMINDERS = [7];
+const DEADLINES = new Set(["renewal_notice", "expiration"]);
+
+export function parseDay(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+export const formatDay = (day) => new Date(day).toISOString().slice(0, 10);
+
+// Adds months the way leases count them: Jan 31 + 1 month is Feb 28/29.
+function addMonths(day, months) {
+  const d = new Date(day);
+  const date = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(date, last));
+  return d.getTime();
+}
+
+const shift = (day, months, days) => addMonths(day, months || 0) + (days || 0) * DAY_MS;
+
+export const today = () => {
+  const now = new Date();
+  return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+export const daysUntil = (day) => Math.round((day - today()) / DAY_MS);
+
+// Resolves the report's key dates. `commencement` ("YYYY-MM-DD") overrides the
+// lease's own start date. Returns:
+//   commencement, expiration — timestamps or null
+//   events  — [{ id, type, label, date, section, reminders }] in date order;
+//             windows with a length become an "opens" and a "closes" event,
+//             and a scheduled rent increase repeats until the lease ends
+//   undated — key_dates items that depend on a date that isn't known
+export function resolveKeyDates(analysis, { commencement } = {}) {
+  const items = Array.isArray(analysis?.key_dates) ? analysis.key_dates : [];
+  const startItem = items.find((k) => k.type === "commencement");
+  const endItem = items.find((k) => k.type === "expiration");
+
+  const start = parseDay(commencement) ?? parseDay(startItem?.date);
+  const termMonths = analysis?.costs?.term_months;
+  let end = parseDay(endItem?.date);
+  if (end === null && start !== null) {
+    if (endItem?.anchor === "commencement") end = shift(start, endItem.offset_months, endItem.offset_days);
+    else if (termMonths > 0) end = shift(start, termMonths, -1);
+  }
+  const anchors = { commencement: start, expiration: end };
+
+  const events = [];
+  const undated = [];
+  const add = (type, label, date, section, reminders) => {
+    events.push({ id: `${type}-${events.length}`, type, label, date, section: section ?? null, reminders });
+  };
+  const reminders = (type) => (DEADLINES.has(type) ? DEADLINE_REMINDERS : DATE_REMINDERS);
+
+  if (start !== null) add("commencement", startItem?.label || "Lease begins", start, startItem?.section, DATE_REMINDERS);
+  if (end !== null) add("expiration", endItem?.label || "Lease ends", end, endItem?.section, DEADLINE_REMINDERS);
+
+  const everyMonths = analysis?.costs?.escalation?.every_months;
+  for (const item of items) {
+    if (item.type === "commencement" || item.type === "expiration") continue;
+    const anchor = item.anchor ? anchors[item.anchor] : null;
+    const date = parseDay(item.date) ?? (anchor != null ? shift(anchor, item.offset_months, item.offset_days) : null);
+    if (date === null) {
+      undated.push(item);
+      continue;
+    }
+
+    if (item.window_days > 0) {
+      add(item.type, `${item.label} (opens)`, date, item.section, DATE_REMINDERS);
+      add(item.type, `${item.label} (closes)`, date + item.window_days * DAY_MS, item.section, DEADLINE_REMINDERS);
+    } else if (item.type === "escalation" && everyMonths > 0 && end !== null) {
+      for (let d = date, n = 0; d <= end; n++, d = addMonths(date, everyMonths * n)) {
+        add(item.type, item.label, d, item.section, DATE_REMINDERS);
+      }
+    } else {
+      add(item.type, item.label, date, item.section, reminders(item.type));
+    }
+  }
+
+  events.sort((a, b) => a.date - b.date);
+  return { commencement: start, expiration: end, events, undated };
+}
+
+/* ─── ICALENDAR ─── */
+
+const icsDate = (day) => formatDay(day).replace(/-/g, "");
+
+const escapeText = (s) => String(s).replace(/\\/g, "\\\\").replace(/\r?\n/g, "\\n").replace(/([,;])/g, "\\$1");
+
+// Lines longer than 75 octets of UTF-8 continue on the next line after a
+// space, which counts toward that line's 75. Breaks fall between code points,
+// so a multi-byte character or surrogate pair is never split.
+const encoder = new TextEncoder();
+
+function fold(line) {
+  const lines = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (lines.length ? 74 : 75)) {
+      lines.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+// An iCalendar file with one all-day event per key date and a display alarm
+// for each of the event's reminders. `name` identifies the lease in titles.
+export function buildIcs(events, { name, stamp = new Date() }) {
+  const dtstamp = stamp.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Redline//Lease key dates//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`Lease dates: ${name}`)}`,
+  ];
+  events.forEach((event, i) => {
+    const summary = `${event.label} (${name})`;
+    const description = [
+      `${KEY_DATE_LABELS[event.type] || KEY_DATE_LABELS.other} from your lease review.`,
+      event.section && `See section ${event.section}.`,
+    ].filter(Boolean).join(" ");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsDate(event.date)}-${i}-${event.type}@redline`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(event.date + DAY_MS)}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      "TRANSP:TRANSPARENT",
+    );
+    for (const days of event.reminders) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `TRIGGER:-P${days}D`,
+        `DESCRIPTION:${escapeText(`${event.label} in ${days} days (${name})`)}`,
+        "END:VALARM",
+      );
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
+
+export function icsFileName(fileName) {
+  return `${(fileName || "").replace(/\.[^.]+$/, "") || "lease"}-key-dates.ics`;
+}
@@ -0,0 +1,124 @@
+import { checkJson } from "./analysisSchema.js";
+import { AnalysisError, leaseDocument, runJsonOperation } from "./analyzeLease.js";
+
+/* ─── LEASE Q&A ─── */
+
+// Mirrors the JSON structure QA_PROMPT asks the model for.
+const ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: "string", label: "Answer" },
+    citations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { section: { type: "string", nullable: true }, quote: { type: "string", nullable: true } },
+      },
+      label: "Citations",
+    },
+    not_in_lease: { type: "boolean", label: "Answer" },
+  },
+  required: ["answer", "citations", "not_in_lease"],
+};
+
+// Only the last turns are sent back; older ones rarely matter to a question.
+const MAX_HISTORY = 20;
+
+function fixAnswer(data) {
+  if (typeof data.not_in_lease === "string") data.not_in_lease = data.not_in_lease.trim().toLowerCase() === "true";
+  if (Array.isArray(data.citations)) data.citations = data.citations.filter((c) => c?.section || c?.quote);
+  return data;
+}
+
+// An answer drawn from the lease must point at it; the corrective pass asks
+// for the citation when it is missing.
+function checkAnswer(raw) {
+  const result = checkJson(raw, ANSWER_SCHEMA, fixAnswer);
+  const a = result.analysis;
+  if (!result.errors.length && !a.not_in_lease && a.citations.length === 0) {
+    result.errors.push({ path: "citations", message: "cite at least one section or verbatim quote from the lease" });
+  }
+  return result;
+}
+
+// What the model needs from the review to answer in context, without the
+// quotes and negotiation tips that would only add length.
+function reportSummary(a) {
+  const item = ({ title, section }) => ({ title, section: section ?? null });
+  return {
+    summary: a.summary,
+    grade: a.grade,
+    red_flags: a.red_flags?.map((f) => ({ ...item(f), severity: f.severity })),
+    attention: a.attention?.map(item),
+    green_flags: a.green_flags?.map(item),
+    missing: a.missing?.map((m) => m.title),
+    money: a.money,
+    dates: a.dates,
+  };
+}
+
+// 'Section 5.1: "quote"' lines, so an earlier answer keeps its sources when
+// it is sent back as a plain-text turn.
+function turnText(message) {
+  if (message.role === "user") return message.text;
+  const sources = (message.citations || [])
+    .map((c) => [c.section && `Section ${c.section}`, c.quote && `"${c.quote}"`].filter(Boolean).join(": "))
+    .join("\n");
+  return sources ? `${message.text}\n\nSources:\n${sources}` : message.text;
+}
+
+// The answer text from a partial JSON response, for showing it as it streams.
+export function partialAnswer(text) {
+  const m = text.match(/"answer"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!m) return "";
+  try {
+    return JSON.parse(`"${m[1].replace(/\\u?[0-9a-fA-F]{0,3}$|\\$/, "")}"`);
+  } catch {
+    return m[1];
+  }
+}
+
+// Asks `question` about the lease. `chat` is the conversation so far as
+// [{ role: "user" | "assistant", text, citations?, failed? }]; questions that
+// never got an answer are left out of the context. Resolves to the new
+// assistant message; `uncited` marks an answer that still had no citation
+// after the corrective pass. `onText` receives the answer as it streams.
+export async function askLease(lease, analysis, chat, question, { signal, onText } = {}) {
+  const answered = chat.filter((m, i) => m.role === "assistant" || chat[i + 1]?.role === "assistant");
+  let history = answered.slice(-MAX_HISTORY);
+  if (history[0]?.role === "assistant") history = history.slice(1);
+
+  let result;
+  let uncited = false;
+  try {
+    result = await runJsonOperation(
+      {
+        operation: "ask",
+        document: leaseDocument(lease),
+        report: reportSummary(analysis),
+        history: history.map((m) => ({ role: m.role, content: turnText(m) })),
+        question,
+      },
+      {
+        schema: ANSWER_SCHEMA,
+        check: checkAnswer,
+        signal,
+        redaction: lease.redaction,
+        onText: (t) => onText?.(partialAnswer(t)),
+      },
+    );
+  } catch (err) {
+    if (!(err instanceof AnalysisError) || !err.partial?.answer) throw err;
+    result = { citations: [], not_in_lease: false, ...err.partial };
+    uncited = true;
+  }
+
+  return {
+    role: "assistant",
+    text: result.answer,
+    citations: result.citations,
+    notInLease: result.not_in_lease,
+    ...(uncited && { uncited }),
+    at: Date.now(),
+  };
+}
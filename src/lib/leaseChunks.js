@@ -0,0 +1,73 @@
+import { splitClauses } from "./leaseDiff.js";
+
+/* ─── LONG LEASES ─── */
+
+// Leases with exhibits, rules and guaranty forms can outgrow a single
+// analysis: the report runs out of output room long before the document runs
+// out of context. Above SINGLE_PASS_CHARS the text is split into parts of up
+// to PART_CHARS along clause boundaries, each part is analyzed on its own and
+// the partial reports are merged (see analyzeLease). MAX_PARTS matches the
+// proxy's limit on a merge.
+export const SINGLE_PASS_CHARS = 80_000;
+const PART_CHARS = 60_000;
+export const MAX_PARTS = 8;
+
+// Articles, exhibits and schedules are the preferred places to cut: a part
+// that is already half full ends before one rather than splitting it.
+const TOP_LEVEL = /^(article\b|exhibit\b|schedule\b|rider\b|addendum\b|guarant|rules and regulations)/i;
+
+const isTopLevel = (clause) => TOP_LEVEL.test(clause.heading) || /^[\dIVXLC]+$/.test(clause.key || "");
+
+// A single clause longer than a part is cut at paragraph breaks.
+function splitOversized(clause) {
+  if (clause.text.length <= PART_CHARS) return [clause];
+  const pieces = [];
+  let text = "";
+  for (const para of clause.text.split(/\n\s*\n/)) {
+    if (text && text.length + para.length + 2 > PART_CHARS) {
+      pieces.push({ ...clause, text });
+      text = "";
+    }
+    text = text ? `${text}\n\n${para}` : para.slice(0, PART_CHARS);
+  }
+  if (text) pieces.push({ ...clause, text });
+  return pieces;
+}
+
+// "section 1 – section 4.3", "section 30.2 – EXHIBIT A": where the part
+// starts and ends, by section number or, for unnumbered clauses, heading.
+const clauseName = (c) => (c.key && c.key !== "preamble" ? `section ${c.key}` : c.heading.slice(0, 60));
+
+function partLabel(clauses) {
+  const first = clauseName(clauses[0]);
+  const last = clauseName(clauses[clauses.length - 1]);
+  return first === last ? first : `${first} – ${last}`;
+}
+
+// Splits lease text into { parts: [{ text, label }], sections }, where
+// `sections` is the number of clauses in the whole lease. Short leases come
+// back as one part.
+export function chunkLease(text) {
+  const clauses = splitClauses(text);
+  if (text.length <= SINGLE_PASS_CHARS) return { parts: [{ text, label: null }], sections: clauses.length };
+
+  const parts = [];
+  let current = [];
+  let size = 0;
+  const flush = () => {
+    if (!current.length) return;
+    parts.push({ text: current.map((c) => c.text).join("\n\n"), label: partLabel(current) });
+    current = [];
+    size = 0;
+  };
+
+  for (const clause of clauses.flatMap(splitOversized)) {
+    const full = size + clause.text.length > PART_CHARS;
+    const natural = size > PART_CHARS / 2 && isTopLevel(clause);
+    if (full || natural) flush();
+    current.push(clause);
+    size += clause.text.length + 2;
+  }
+  flush();
+  return { parts, sections: clauses.length };
+}
@@ -0,0 +1,179 @@
+/* ─── CLAUSES ─── */
+
+// A line opens a new clause when it is a heading or starts with a section
+// number: "# Article IV", "ARTICLE 4", "Section 4.2", "§ 4.2", "4.2 Rent",
+// "4. Rent". A bare number ("30 days after...") does not, since wrapped PDF
+// lines often start with one. Lettered sub-paragraphs stay inside their clause.
+const CLAUSE_START = /^(#{1,4}\s+|(article|section|sec\.|§)\s*[\dIVXLC]+\b|\d+(\.\d+)+[.)]?\s+\S|\d+[.)]\s+\S)/i;
+
+// "Section 4.2" -> "4.2", "ARTICLE iv" -> "IV"; null when the line has no
+// section number.
+export function clauseKey(line) {
+  const text = line.replace(/^#{1,4}\s+/, "");
+  const m = text.match(/^(?:(?:article|section|sec\.|§)\s*([\dIVXLC]+(?:\.\d+)*)|(\d+(?:\.\d+)*))\b/i);
+  return m ? (m[1] || m[2]).toUpperCase() : null;
+}
+
+// Splits lease text into [{ key, heading, text, start }]. `key` is the section
+// number when there is one; `heading` is the clause's first line and `start`
+// its offset in `text`.
+export function splitClauses(text) {
+  const clauses = [];
+  let current = { key: "preamble", heading: "Preamble", lines: [], start: 0 };
+  let offset = 0;
+
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    if (CLAUSE_START.test(trimmed)) {
+      if (current.lines.some((l) => l.trim())) clauses.push(current);
+      current = {
+        key: clauseKey(trimmed),
+        heading: trimmed.replace(/^#{1,4}\s+/, "").slice(0, 120),
+        lines: [],
+        start: offset + line.indexOf(trimmed),
+      };
+    }
+    current.lines.push(line);
+    offset += line.length + 1;
+  }
+  if (current.lines.some((l) => l.trim())) clauses.push(current);
+
+  return clauses.map(({ key, heading, lines, start }) => ({ key, heading, text: lines.join("\n").trim(), start }));
+}
+
+/* ─── WORD DIFF ─── */
+
+const normalize = (s) => s.replace(/\s+/g, " ").trim();
+
+function words(s) {
+  return s.split(/\s+/).filter(Boolean);
+}
+
+// Longest-common-subsequence diff over words. Returns [{ type, text }] with
+// type "same", "add" or "del". Very long clauses fall back to a full swap.
+export function wordDiff(before, after) {
+  const a = words(before);
+  const b = words(after);
+  if (a.length * b.length > 4_000_000) {
+    return [{ type: "del", text: a.join(" ") }, { type: "add", text: b.join(" ") }];
+  }
+
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  const push = (type, word) => {
+    const last = out[out.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else out.push({ type, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push("del", a[i++]);
+    } else {
+      push("add", b[j++]);
+    }
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+  return out;
+}
+
+/* ─── CLAUSE DIFF ─── */
+
+function similarity(a, b) {
+  const wa = new Set(words(a.toLowerCase()));
+  const wb = new Set(words(b.toLowerCase()));
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+// Aligns the clauses of two lease texts, first by section number and then, for
+// renumbered or moved clauses, by wording. Returns entries in revised-document
+// order: { status, before, after, diff } where status is "unchanged",
+// "modified", "added" or "removed" and `before`/`after` are clauses.
+export function diffLeases(originalText, revisedText) {
+  const before = splitClauses(originalText);
+  const after = splitClauses(revisedText);
+  const pairOf = new Map(); // after index → before index
+  const used = new Set();
+
+  after.forEach((clause, j) => {
+    if (!clause.key) return;
+    const i = before.findIndex((c, idx) => !used.has(idx) && c.key === clause.key);
+    if (i !== -1 && similarity(before[i].text, clause.text) > 0.2) {
+      pairOf.set(j, i);
+      used.add(i);
+    }
+  });
+
+  after.forEach((clause, j) => {
+    if (pairOf.has(j)) return;
+    let best = -1;
+    let bestScore = 0.5;
+    before.forEach((c, i) => {
+      if (used.has(i)) return;
+      const score = similarity(c.text, clause.text);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    if (best !== -1) {
+      pairOf.set(j, best);
+      used.add(best);
+    }
+  });
+
+  const entries = after.map((clause, j) => {
+    const i = pairOf.get(j);
+    if (i === undefined) return { status: "added", after: clause, order: j };
+    const original = before[i];
+    const same = normalize(original.text) === normalize(clause.text);
+    return {
+      status: same ? "unchanged" : "modified",
+      before: original,
+      after: clause,
+      diff: same ? null : wordDiff(original.text, clause.text),
+      order: j,
+    };
+  });
+
+  // A removed clause is placed right after the revised counterpart of the
+  // nearest original clause before it that was kept.
+  before.forEach((clause, i) => {
+    if (used.has(i)) return;
+    let anchor = -1;
+    for (let k = i - 1; k >= 0 && anchor === -1; k--) {
+      for (const [j, bi] of pairOf) if (bi === k) anchor = j;
+    }
+    entries.push({ status: "removed", before: clause, order: anchor + 0.5 });
+  });
+
+  return entries.sort((x, y) => x.order - y.order).map(({ order, ...e }) => e);
+}
+
+// The modified, added and removed clauses in a compact form for the model.
+export function changesForPrompt(entries, { maxChanges = 60, maxChars = 3000 } = {}) {
+  return entries
+    .filter((e) => e.status !== "unchanged")
+    .slice(0, maxChanges)
+    .map((e) => ({
+      change: e.status,
+      section: (e.after || e.before).heading,
+      before: e.before?.text.slice(0, maxChars) ?? null,
+      after: e.after?.text.slice(0, maxChars) ?? null,
+    }));
+}
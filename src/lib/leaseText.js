@@ -0,0 +1,39 @@
+/* ─── LEASE TEXT ─── */
+
+// Shared by the extract endpoint and privacy mode, which reads the lease in
+// the browser. `bytes` is a Uint8Array (a Buffer on the server).
+
+// Formats are detected from the file's bytes, not its name or MIME type —
+// browsers report .doc/.docx inconsistently.
+export function detectFormat(bytes, filename = "") {
+  const starts = (...sig) => sig.every((b, i) => bytes[i] === b);
+  if (starts(0x25, 0x50, 0x44, 0x46)) return "pdf"; // %PDF
+  if (starts(0x50, 0x4b, 0x03, 0x04)) return "docx";
+  if (starts(0xd0, 0xcf, 0x11, 0xe0)) return "doc";
+  if (/\.(txt|text|md)$/i.test(filename) || !bytes.subarray(0, 4096).includes(0)) return "txt";
+  return null;
+}
+
+export function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder("utf-16le").decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+  try {
+    return new TextDecoder("utf-8", { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    // Older Windows exports are usually cp1252.
+    return new TextDecoder("windows-1252").decode(buffer);
+  }
+}
+
+// Normalizes whitespace without touching line structure, so headings and
+// "Section 4.2" style numbering stay on their own lines.
+export function cleanText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u00a0\u2007\u202f]/g, " ")
+    .replace(/[\u200b\ufeff]/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/ {2,}/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,182 @@
+import { clauseKey, splitClauses } from "./leaseDiff.js";
+
+/* ─── QUOTE SEARCH ─── */
+
+// Folds the differences that survive copying text out of a lease: case,
+// curly quotes, dash styles and line breaks or runs of spaces.
+const FOLD = { "\u2018": "'", "\u2019": "'", "\u201c": '"', "\u201d": '"', "\u2013": "-", "\u2014": "-", "\u00a0": " " };
+const foldChar = (c) => FOLD[c] ?? c.toLowerCase();
+
+// Returns the folded string and, for each of its characters, the offset of the
+// character it came from.
+function fold(text) {
+  let out = "";
+  const map = [];
+  let space = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = foldChar(text[i]);
+    if (/\s/.test(c)) {
+      space = out.length > 0;
+      continue;
+    }
+    if (space) {
+      out += " ";
+      map.push(i - 1);
+      space = false;
+    }
+    out += c;
+    map.push(i);
+  }
+  return { text: out, map };
+}
+
+// Share of a quote's words a passage of the lease must contain for the quote
+// to count as found when it is not an exact match.
+export const FUZZY_MIN_SCORE = 0.85;
+const FUZZY_MIN_WORDS = 4;
+
+const trimQuote = (quote) => fold(quote.replace(/^["'\u201c\u2018]+|["'\u201d\u2019]+$/g, "")).text;
+
+// The words of folded text with their offsets, punctuation dropped.
+function wordsOf(text) {
+  return [...text.matchAll(/[a-z0-9$%]+/g)].map((m) => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+// Finds `quote` in the folded lease text. Returns { start, end } offsets into the
+// original text or null.
+function findQuote(folded, quote) {
+  const needle = trimQuote(quote);
+  if (needle.length < 8) return null;
+  const at = folded.text.indexOf(needle);
+  if (at === -1) return null;
+  return { start: folded.map[at], end: folded.map[at + needle.length - 1] + 1 };
+}
+
+// Finds the passage, as long as the quote, that shares the most words with it,
+// so a quote with a changed word, dropped punctuation or a typo fixed still
+// counts. Slides a window over the lease's words keeping a running count of
+// the words it has in common with the quote. Returns { start, end, score } or
+// null when no passage reaches FUZZY_MIN_SCORE.
+function findFuzzyQuote(folded, leaseWords, quote) {
+  const needle = wordsOf(trimQuote(quote)).map((w) => w.word);
+  if (needle.length < FUZZY_MIN_WORDS) return null;
+  const want = new Map();
+  for (const w of needle) want.set(w, (want.get(w) || 0) + 1);
+
+  const size = Math.min(needle.length, leaseWords.length);
+  const have = new Map();
+  let shared = 0;
+  const add = (w, step) => {
+    const before = have.get(w) || 0;
+    have.set(w, before + step);
+    const limit = want.get(w) || 0;
+    shared += Math.min(before + step, limit) - Math.min(before, limit);
+  };
+
+  let best = { shared: 0, at: 0 };
+  for (let i = 0; i < leaseWords.length; i++) {
+    add(leaseWords[i].word, 1);
+    if (i >= size) add(leaseWords[i - size].word, -1);
+    if (i >= size - 1 && shared > best.shared) best = { shared, at: i - size + 1 };
+  }
+
+  const score = best.shared / needle.length;
+  if (score < FUZZY_MIN_SCORE) return null;
+  const first = leaseWords[best.at];
+  const last = leaseWords[best.at + size - 1];
+  return { start: folded.map[first.start], end: folded.map[last.end - 1] + 1, score };
+}
+
+/* ─── SECTION LOOKUP ─── */
+
+// The clause an item's section reference ("4.2", "Section 4.2(b)", "Art. IV")
+// points to, falling back to the parent section when there is no exact match.
+function findSection(clauses, ref) {
+  const key = clauseKey(ref.replace(/^art\.\s*/i, "article ")) || ref.match(/\d+(\.\d+)*/)?.[0];
+  if (!key) return null;
+  const parts = key.toUpperCase().split(".");
+  while (parts.length) {
+    const want = parts.join(".");
+    const clause = clauses.find((c) => c.key === want);
+    if (clause) return clause;
+    parts.pop();
+  }
+  return null;
+}
+
+/* ─── HIGHLIGHTS ─── */
+
+export const HIGHLIGHT_KINDS = [
+  { key: "red_flags", color: "red" },
+  { key: "attention", color: "amber" },
+  { key: "green_flags", color: "green" },
+];
+
+export const itemKey = (kind, index) => `${kind}:${index}`;
+
+// Places every flag of an analysis in the lease text: by its quote when the
+// quote is found, exactly or nearly, otherwise on the heading of its section.
+// Returns a map of item key -> { key, kind, color, title, start, end, match }
+// with match "quote", "fuzzy" or "section"; items that cannot be placed are
+// left out.
+export function locateItems(text, analysis) {
+  const folded = fold(text);
+  const leaseWords = wordsOf(folded.text);
+  const clauses = splitClauses(text);
+  const located = new Map();
+
+  for (const { key: kind, color } of HIGHLIGHT_KINDS) {
+    (analysis[kind] || []).forEach((item, i) => {
+      const key = itemKey(kind, i);
+      const hit = item.quote && findQuote(folded, item.quote);
+      if (hit) {
+        located.set(key, { key, kind, color, title: item.title, ...hit, match: "quote" });
+        return;
+      }
+      const near = item.quote && findFuzzyQuote(folded, leaseWords, item.quote);
+      if (near) {
+        located.set(key, { key, kind, color, title: item.title, ...near, match: "fuzzy" });
+        return;
+      }
+      const clause = item.section && findSection(clauses, item.section);
+      if (clause) {
+        const lineEnd = text.indexOf("\n", clause.start);
+        const end = lineEnd === -1 ? text.length : lineEnd;
+        located.set(key, { key, kind, color, title: item.title, start: clause.start, end, match: "section" });
+      }
+    });
+  }
+  return located;
+}
+
+// Whether an item's quote was found in the lease text. Items placed only by
+// their section, or not at all, are unverified.
+export function isVerified(located, key) {
+  const match = located.get(key)?.match;
+  return match === "quote" || match === "fuzzy";
+}
+
+// Cuts the text into [{ text, highlights }] runs so overlapping highlights can
+// be rendered without nesting. `highlights` lists the located items covering
+// the run, in HIGHLIGHT_KINDS order.
+export function segmentText(text, located) {
+  const spans = [...located.values()];
+  const cuts = new Set([0, text.length]);
+  for (const s of spans) {
+    cuts.add(s.start);
+    cuts.add(s.end);
+  }
+  const points = [...cuts].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [from, to] = [points[i], points[i + 1]];
+    if (from === to) continue;
+    segments.push({
+      start: from,
+      text: text.slice(from, to),
+      highlights: spans.filter((s) => s.start <= from && s.end >= to),
+    });
+  }
+  return segments;
+}
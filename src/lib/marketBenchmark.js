@@ -0,0 +1,352 @@
+import { isOperatorReport } from "./operatorMode.js";
+import { toMonthly } from "./occupancyCost.js";
+
+/* ─── MARKET BENCHMARK ─── */
+
+// Places a lease's rent, deposit, escalation and fees among comparable suite
+// leases in the same metro (src/data/comparables.csv or .json, maintained by
+// hand; see comparablesData.js), and turns the out-of-market terms into red
+// flags and priorities.
+//
+// A comparable is { metro, suite_sqft, rent_monthly, deposit, escalation_pct,
+// fees: { <fee type id>: amount } }. Recurring fees are monthly dollars and
+// one-time fees are dollars; 0 means the suite doesn't charge it, and a type
+// that is absent is unknown.
+
+// Matched against the lease's fee names in order, so "Common area
+// maintenance" is CAM rather than cleaning.
+export const FEE_TYPES = [
+  { id: "marketing", label: "Marketing", match: /marketing|advertis|promot/i },
+  { id: "cam", label: "CAM / amenities", match: /\bcam\b|common area|maintenance|amenit/i },
+  { id: "utilities", label: "Utilities", match: /utilit|electric|water|\bgas\b/i },
+  { id: "laundry", label: "Laundry", match: /laundry|towel|linen/i },
+  { id: "cleaning", label: "Cleaning", match: /clean|janitor/i },
+  { id: "internet", label: "Internet", match: /internet|wi-?fi|wireless/i },
+  { id: "application", label: "Application / move-in", match: /application|admin|processing|move-?in/i, oneTime: true },
+  { id: "keys", label: "Keys / access", match: /\bkeys?\b|fob|access card/i, oneTime: true },
+];
+
+// Fewer comparables than this and a percentile means little.
+export const MIN_COMPARABLES = 5;
+// Suites within this share of the lease's size count as the same size.
+const SIZE_TOLERANCE = 0.3;
+// At or above this percentile a term is out of market; at HIGH it's a high-severity flag.
+export const OUTLIER_PERCENTILE = 90;
+const HIGH_PERCENTILE = 97;
+// A fee fewer than this share of comparables charge is unusual.
+export const RARE_FEE_SHARE = 0.2;
+
+/* ─── DATASET ─── */
+
+const num = (v) => (v === "" || v == null ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+
+// One row of the dataset, from either file format, with fee_<type> columns
+// gathered into `fees`.
+function toComparable(row) {
+  const fees = { ...row.fees };
+  for (const type of FEE_TYPES) {
+    if (row[`fee_${type.id}`] !== undefined) fees[type.id] = row[`fee_${type.id}`];
+  }
+  return {
+    metro: String(row.metro || "").trim(),
+    suite_sqft: num(row.suite_sqft),
+    rent_monthly: num(row.rent_monthly),
+    deposit: num(row.deposit),
+    escalation_pct: num(row.escalation_pct),
+    fees: Object.fromEntries(Object.entries(fees).map(([k, v]) => [k, num(v)]).filter(([, v]) => v !== null)),
+  };
+}
+
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') field += text[i++];
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim())) rows.push(row);
+  return rows;
+}
+
+// Parses the dataset: a CSV with a header row, or a JSON array of
+// comparables. Rows without a metro or rent are dropped.
+export function parseComparables(text, format = "csv") {
+  let records;
+  if (format === "json") {
+    records = JSON.parse(text);
+  } else {
+    const [header, ...rows] = csvRows(text);
+    if (!header) return [];
+    const keys = header.map((h) => h.trim().toLowerCase());
+    records = rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+  }
+  return records.map(toComparable).filter((c) => c.metro && c.rent_monthly > 0);
+}
+
+export const metrosOf = (comparables) => [...new Set(comparables.map((c) => c.metro))].sort();
+
+/* ─── BENCHMARK ─── */
+
+// Share of `values` below `x`, counting ties as half, as 0–100.
+export function percentile(values, x) {
+  const below = values.filter((v) => v < x).length;
+  const equal = values.filter((v) => v === x).length;
+  return Math.round((100 * (below + equal / 2)) / values.length);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// The metro's comparables, narrowed to suites of about the same size when
+// there are enough of them.
+function comparablesFor(comparables, { metro, sqft }) {
+  const local = comparables.filter((c) => c.metro === metro);
+  if (!sqft) return { set: local, bySize: false };
+  const similar = local.filter((c) => c.suite_sqft && Math.abs(c.suite_sqft - sqft) / sqft <= SIZE_TOLERANCE);
+  return similar.length >= MIN_COMPARABLES ? { set: similar, bySize: true } : { set: local, bySize: false };
+}
+
+function position(values, value) {
+  if (value == null || values.length < MIN_COMPARABLES) return null;
+  const pct = percentile(values, value);
+  return {
+    percentile: pct,
+    median: median(values),
+    count: values.length,
+    outlier: pct >= OUTLIER_PERCENTILE,
+    severity: pct >= HIGH_PERCENTILE ? "high" : "medium",
+  };
+}
+
+const feeTypeOf = (name) => FEE_TYPES.find((t) => t.match.test(name || ""));
+
+// Returns { metro, sqft, count, bySize, metrics, fees } for `analysis` against
+// the comparables in `market` ({ metro, sqft }), or null without a metro or
+// cost details.
+//   metrics — [{ key, value, percentile, median, count, outlier, severity }]
+//             for rent ($/month), deposit (months of rent) and escalation
+//             (% a year); percentile is null with too few comparables
+//   fees    — [{ name, type, value, oneTime, charging, known, share,
+//             percentile, median, outlier, rare, severity }] for each lease
+//             fee of a known type
+export function benchmarkLease(analysis, market, comparables) {
+  const costs = analysis?.costs;
+  if (!market?.metro || !costs) return null;
+  const { set, bySize } = comparablesFor(comparables, market);
+  if (!set.length) return null;
+
+  const rent = toMonthly(costs.base_rent, costs.frequency);
+  const esc = costs.escalation;
+  const deposit = rent && costs.deposit != null ? costs.deposit / rent : null;
+  // Annualized, so a 5% increase every two years compares with 2.5% a year.
+  const step = esc?.type === "fixed_percent" ? esc.rate
+    : esc?.type === "fixed_amount" && rent ? (100 * toMonthly(esc.rate, costs.frequency)) / rent
+    : null;
+  const escalation = step != null ? (step * 12) / (esc.every_months || 12) : null;
+  const metrics = [
+    { key: "rent", value: rent, ...position(set.map((c) => c.rent_monthly), rent) },
+    { key: "deposit", value: deposit, ...position(set.filter((c) => c.deposit != null).map((c) => c.deposit / c.rent_monthly), deposit) },
+    { key: "escalation", value: escalation, ...position(set.filter((c) => c.escalation_pct != null).map((c) => c.escalation_pct), escalation) },
+  ].map((m) => ({ percentile: null, ...m }));
+
+  const fees = (costs.fees || []).flatMap((f) => {
+    const type = feeTypeOf(f.name);
+    const oneTime = f.frequency === "one_time";
+    if (!type || Boolean(type.oneTime) !== oneTime) return [];
+    const value = oneTime ? f.amount : toMonthly(f.amount, f.frequency);
+    const known = set.filter((c) => c.fees[type.id] != null);
+    const charged = known.map((c) => c.fees[type.id]).filter((v) => v > 0);
+    const share = known.length ? charged.length / known.length : null;
+    const pos = position(charged, value);
+    const rare = known.length >= MIN_COMPARABLES && share < RARE_FEE_SHARE;
+    return [{
+      name: f.name,
+      type: type.id,
+      value,
+      oneTime,
+      charging: charged.length,
+      known: known.length,
+      share,
+      percentile: pos?.percentile ?? null,
+      median: pos?.median ?? null,
+      outlier: rare || Boolean(pos?.outlier),
+      rare,
+      severity: pos?.outlier ? pos.severity : "medium",
+    }];
+  });
+
+  return { metro: market.metro, sqft: market.sqft || null, count: set.length, bySize, metrics, fees };
+}
+
+/* ─── OUTLIERS INTO THE REPORT ─── */
+
+const dollars = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+const round1 = (n) => Math.round(n * 10) / 10;
+const months = (n) => `${round1(n)} ${round1(n) === 1 ? "month's" : "months'"}`;
+const pct = (n) => `${round1(n)}%`;
+
+function ordinal(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+export const formatPercentile = (p) => `${ordinal(p)} percentile`;
+
+// Red flag and priority for an out-of-market term. `operator` reports say
+// how renters will see it instead of what to ask for.
+// Flags from example data are marked `sample` and say so, and the grade
+// leaves them out.
+function outlierFlag(item, benchmark, operator) {
+  const where = `${benchmark.count} comparable ${benchmark.bySize ? "same-size " : ""}suites in ${benchmark.metro}`;
+  const at = `sits at the ${formatPercentile(item.percentile)} of ${where}`;
+  const flag = (title, detail, typical, ask, priority) => ({
+    flag: {
+      title,
+      severity: item.severity,
+      ...(operator && { issue: "deters_tenants" }),
+      detail: benchmark.example ? `Example data: ${detail}` : detail,
+      fix: operator ? `Renters will compare it with the local typical of ${typical}; bring it closer or be ready to justify it.` : ask,
+      section: null,
+      quote: null,
+      market: true,
+      ...(benchmark.example && { sample: true }),
+      id: `market:${benchmark.metro}:${item.key || item.name}`,
+    },
+    priority,
+  });
+
+  switch (item.key) {
+    case "rent": {
+      const typical = `${dollars(item.median)}/month`;
+      return flag(
+        "Rent above local market",
+        `${dollars(item.value)}/month ${at} (median ${typical}).`,
+        typical,
+        `Ask for rent nearer the local median of ${typical}, or for free months to offset it.`,
+        `Negotiate rent toward the ${typical} local median`,
+      );
+    }
+    case "deposit": {
+      const typical = `${months(item.median)} rent`;
+      return flag(
+        "Deposit above local market",
+        `A deposit of ${months(item.value)} rent ${at} (median ${typical}).`,
+        typical,
+        `Ask to bring the deposit down to about ${typical}.`,
+        `Lower the deposit to about ${typical}`,
+      );
+    }
+    case "escalation": {
+      const typical = `${pct(item.median)} a year`;
+      return flag(
+        "Rent increases above local market",
+        `Increases of ${pct(item.value)} a year ${at} (median ${typical}).`,
+        typical,
+        `Ask to cap increases at ${typical}, in line with the local market.`,
+        `Cap rent increases at ${typical}`,
+      );
+    }
+    default: {
+      const { label } = FEE_TYPES.find((t) => t.id === item.type);
+      const per = (n) => (item.oneTime ? dollars(n) : `${dollars(n)}/month`);
+      if (item.rare) {
+        const few = item.charging ? `Only ${item.charging} of ${item.known}` : `None of the ${item.known}`;
+        return flag(
+          `Unusual fee: ${item.name}`,
+          `${few} comparable suites in ${benchmark.metro} charge a fee like this (${label}); this lease charges ${per(item.value)}.`,
+          "no such fee",
+          "Ask to drop the fee, since most local suites include it in the rent.",
+          `Remove the ${item.name.toLowerCase()}`,
+        );
+      }
+      const typical = per(item.median);
+      return flag(
+        `${item.name} above local market`,
+        `${per(item.value)} sits at the ${formatPercentile(item.percentile)} of the ${item.charging} comparable suites in ${benchmark.metro} that charge one (median ${typical}).`,
+        typical,
+        `Ask to reduce it toward ${typical} or fold it into the rent.`,
+        `Reduce the ${item.name.toLowerCase()} toward ${typical}`,
+      );
+    }
+  }
+}
+
+// Removes what an earlier applyBenchmark added.
+function withoutMarket(analysis) {
+  if (!analysis.market) return analysis;
+  const { market, ...rest } = analysis;
+  const added = new Set(market.priorities || []);
+  return {
+    ...rest,
+    red_flags: (rest.red_flags || []).filter((f) => !f.market),
+    priorities: (rest.priorities || []).filter((p) => !added.has(p)),
+  };
+}
+
+// Benchmarks `analysis` for `market` and adds a red flag and a priority for
+// each out-of-market term, replacing those of an earlier benchmark. The report
+// keeps `market: { metro, sqft, benchmark, priorities }`, so it reads the same
+// after the dataset changes. Without a market, any earlier benchmark is
+// removed. `example` marks comparables that are example data (see
+// comparablesData.js). Re-grade the result (applyGrade) since the red flags
+// changed.
+export function applyBenchmark(analysis, market, comparables, { example = false } = {}) {
+  const base = withoutMarket(analysis);
+  const found = benchmarkLease(base, market, comparables);
+  if (!found) return base;
+  const benchmark = example ? { ...found, example: true } : found;
+
+  const outliers = [...benchmark.metrics.filter((m) => m.outlier), ...benchmark.fees.filter((f) => f.outlier)]
+    .map((item) => outlierFlag(item, benchmark, isOperatorReport(base)));
+  const priorities = outliers.map((o) => o.priority).filter((p) => !(base.priorities || []).includes(p));
+  return {
+    ...base,
+    red_flags: [...(base.red_flags || []), ...outliers.map((o) => o.flag)],
+    priorities: [...(base.priorities || []), ...priorities],
+    market: { metro: benchmark.metro, sqft: benchmark.sqft, benchmark, priorities },
+  };
+}
+
+/* ─── MARKET SELECTION ─── */
+
+// A user reviews leases in one metro, so the last market used is remembered
+// in this browser. A market is { metro, sqft }, sqft null when unknown.
+const STORAGE_KEY = "redline:market";
+
+export const EMPTY_MARKET = { metro: "", sqft: null };
+
+export function loadMarket() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (typeof saved?.metro !== "string") return EMPTY_MARKET;
+    return { metro: saved.metro, sqft: Number.isFinite(saved.sqft) && saved.sqft > 0 ? saved.sqft : null };
+  } catch {
+    return EMPTY_MARKET;
+  }
+}
+
+export function saveMarket(market) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(market));
+  } catch {
+    // Private browsing or storage disabled: the market just isn't remembered.
+  }
+}
@@ -0,0 +1,59 @@
+/* ─── NEGOTIATION TRACKER ─── */
+
+// Where each issue stands with the landlord. The tracker is saved with the
+// report as { [id]: { status, note, updatedAt } }, keyed like "red_flags:2";
+// an issue without an entry has not been raised. Market red flags (see
+// applyBenchmark) come and go with the chosen market, so they are keyed by
+// their own id, like "market:Denver, CO:rent", rather than their position.
+export const NEGOTIATION_STATUSES = [
+  { value: "not_raised", label: "Not raised" },
+  { value: "raised", label: "Raised" },
+  { value: "agreed", label: "Landlord agreed" },
+  { value: "refused", label: "Landlord refused" },
+  { value: "compromise", label: "Compromise" },
+];
+
+// An issue is settled once the landlord agreed or a compromise was reached.
+const RESOLVED = new Set(["agreed", "compromise"]);
+
+export const TRACKED_KINDS = [
+  { kind: "red_flags", label: "red flags" },
+  { kind: "attention", label: "clarifications" },
+  { kind: "missing", label: "missing clauses" },
+];
+
+const NOT_RAISED = { status: "not_raised", note: "", updatedAt: null };
+
+export const trackerId = (kind, index, item) => (item?.market ? item.id : `${kind}:${index}`);
+
+export function trackedStatus(negotiation, id) {
+  return { ...NOT_RAISED, ...negotiation?.[id] };
+}
+
+export const isResolved = (entry) => RESOLVED.has(entry.status);
+
+// The tracker with `patch` ({ status?, note? }) applied to one issue.
+export function updateTracked(negotiation, id, patch) {
+  return { ...negotiation, [id]: { ...trackedStatus(negotiation, id), ...patch, updatedAt: Date.now() } };
+}
+
+// Per kind, how many issues there are and how far they have got:
+// [{ kind, label, total, resolved, raised, refused }].
+export function negotiationProgress(analysis, negotiation) {
+  return TRACKED_KINDS.map(({ kind, label }) => {
+    const entries = (analysis[kind] || []).map((item, i) => trackedStatus(negotiation, trackerId(kind, i, item)));
+    return {
+      kind,
+      label,
+      total: entries.length,
+      resolved: entries.filter(isResolved).length,
+      raised: entries.filter((e) => e.status === "raised").length,
+      refused: entries.filter((e) => e.status === "refused").length,
+    };
+  }).filter((p) => p.total > 0);
+}
+
+// Whether any issue has been raised or annotated, i.e. negotiation has begun.
+export function negotiationStarted(negotiation) {
+  return Object.values(negotiation || {}).some((e) => e.status !== "not_raised" || e.note);
+}
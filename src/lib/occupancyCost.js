@@ -0,0 +1,91 @@
+/* ─── COST OF OCCUPANCY ─── */
+
+// Billing periods per month.
+const PER_MONTH = { weekly: 52 / 12, monthly: 1, annual: 1 / 12 };
+const MAX_MONTHS = 600;
+
+export const DEFAULT_CPI_RATE = 3;
+
+export const toMonthly = (amount, frequency) => (amount == null ? null : amount * (PER_MONTH[frequency] ?? 1));
+
+// Editable assumptions seeded from the analysis' `costs`. Rent and fixed-dollar
+// escalations are normalized to monthly figures; rates are percentages.
+export function defaultAssumptions(costs) {
+  const escalation = costs.escalation || { type: "none" };
+  return {
+    baseRent: toMonthly(costs.base_rent, costs.frequency) ?? 0,
+    escalationType: escalation.type,
+    escalationRate: escalation.type === "fixed_amount"
+      ? toMonthly(escalation.rate, costs.frequency) ?? 0
+      : escalation.rate ?? 0,
+    everyMonths: escalation.every_months || 12,
+    cpiRate: DEFAULT_CPI_RATE,
+    cpiCap: escalation.cap ?? null,
+    termMonths: costs.term_months || 12,
+    renewalOptions: costs.renewal?.options || 0,
+    renewalTermMonths: costs.renewal?.term_months || costs.term_months || 12,
+    renewalIncrease: costs.renewal?.increase ?? 0,
+    renewals: 0,
+    fees: (costs.fees || []).map((f) => ({ ...f, included: true })),
+  };
+}
+
+function escalate(rent, a) {
+  switch (a.escalationType) {
+    case "fixed_percent":
+      return rent * (1 + (a.escalationRate || 0) / 100);
+    case "fixed_amount":
+      return rent + (a.escalationRate || 0);
+    case "cpi": {
+      const rate = a.cpiCap != null ? Math.min(a.cpiRate, a.cpiCap) : a.cpiRate;
+      return rent * (1 + (rate || 0) / 100);
+    }
+    default:
+      return rent;
+  }
+}
+
+// Projects the lease month by month over the initial term plus `renewals`
+// renewal periods. Recurring fees are held flat; one-time fees land in month 1.
+// The refundable deposit is not a cost and is left out.
+export function projectCosts(a, renewals = a.renewals) {
+  const fees = a.fees.filter((f) => f.included);
+  const recurring = fees
+    .filter((f) => f.frequency !== "one_time")
+    .reduce((sum, f) => sum + toMonthly(f.amount || 0, f.frequency), 0);
+  const oneTime = fees.filter((f) => f.frequency === "one_time").reduce((sum, f) => sum + (f.amount || 0), 0);
+
+  const periods = [a.termMonths, ...Array(renewals).fill(a.renewalTermMonths)];
+  const months = [];
+  let rent = a.baseRent || 0;
+
+  periods.forEach((length, period) => {
+    if (period > 0) rent *= 1 + (a.renewalIncrease || 0) / 100;
+    for (let i = 0; i < length && months.length < MAX_MONTHS; i++) {
+      if (i > 0 && a.everyMonths > 0 && i % a.everyMonths === 0) rent = escalate(rent, a);
+      const extra = months.length === 0 ? oneTime : 0;
+      months.push({ month: months.length + 1, period, rent, fees: recurring, oneTime: extra, total: rent + recurring + extra });
+    }
+  });
+
+  const years = [];
+  for (const m of months) {
+    const y = (years[Math.floor((m.month - 1) / 12)] ||= { year: Math.floor((m.month - 1) / 12) + 1, rent: 0, fees: 0, oneTime: 0, total: 0, months: 0 });
+    y.rent += m.rent;
+    y.fees += m.fees;
+    y.oneTime += m.oneTime;
+    y.total += m.total;
+    y.months += 1;
+  }
+
+  const total = months.reduce((sum, m) => sum + m.total, 0);
+  return { months, years, total, average: months.length ? total / months.length : 0 };
+}
+
+// Total cost for the initial term alone and with each available renewal.
+export function renewalScenarios(a) {
+  return Array.from({ length: Math.min(a.renewalOptions, 5) + 1 }, (_, n) => {
+    const { total, months } = projectCosts(a, n);
+    return { renewals: n, months: months.length, total };
+  });
+}
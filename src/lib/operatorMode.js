@@ -0,0 +1,65 @@
+import { CRITICAL_AREAS, OPERATOR_AREAS } from "./criticalAreas.js";
+import { profileAreas } from "./tenantProfile.js";
+
+/* ─── OPERATOR MODE ─── */
+
+// Operators who run suites can audit their own rental agreement. The report
+// has the same shape, read from the other side of the table: red flags are
+// terms that are likely unenforceable or will scare off renters, "missing"
+// lists protections the operator lacks, and `coverage` rates OPERATOR_AREAS.
+// An operator report has `mode: "operator"`; a tenant report has no mode.
+export const REVIEW_MODES = [
+  { value: "tenant", label: "I'm the tenant" },
+  { value: "operator", label: "I'm the operator" },
+];
+
+export const isOperatorReport = (analysis) => analysis?.mode === "operator";
+
+// Why an operator red flag is a problem.
+export const RED_FLAG_ISSUES = {
+  unenforceable: "Likely unenforceable",
+  deters_tenants: "Deters renters",
+};
+
+// The critical areas a report's `coverage` is keyed by.
+export function reportAreas(analysis) {
+  return isOperatorReport(analysis) ? OPERATOR_AREAS : profileAreas(analysis?.profile);
+}
+
+// Headings and labels that read differently in an operator report.
+export function reportLabels(analysis) {
+  return isOperatorReport(analysis)
+    ? { title: "Rental Agreement Audit", priorities: "Fix First", missing: "Missing Protections", fix: "Suggested rewrite", ask: "Clarify" }
+    : { title: "Lease Red-Line Report", priorities: "Negotiate First", missing: "Missing Clauses", fix: "Requested change", ask: "Ask" };
+}
+
+/* ─── TENANT FRIENDLINESS ─── */
+
+// How the agreement looks to a stylist deciding whether to rent: the average
+// of the tenant's critical areas as rated in `tenant_coverage`, less
+// DETERRENT_POINTS for each red flag likely to scare renters off.
+export const FRIENDLINESS_POINTS = { favorable: 100, unclear: 60, missing: 50, unfavorable: 0 };
+export const DETERRENT_POINTS = 5;
+
+export const FRIENDLINESS_BANDS = [
+  { min: 75, label: "Tenant-friendly" },
+  { min: 50, label: "Balanced" },
+  { min: 0, label: "Tough on renters" },
+];
+
+// Returns { score, label, counts: { favorable, unclear, missing, unfavorable },
+// deterrents }, or null for a report without tenant ratings.
+export function tenantFriendliness(analysis) {
+  const ratings = CRITICAL_AREAS
+    .map((a) => analysis?.tenant_coverage?.[a.id])
+    .filter((status) => status in FRIENDLINESS_POINTS);
+  if (!ratings.length) return null;
+
+  const counts = { favorable: 0, unclear: 0, missing: 0, unfavorable: 0 };
+  for (const status of ratings) counts[status]++;
+  const deterrents = (analysis.red_flags || []).filter((f) => f.issue === "deters_tenants").length;
+  const average = ratings.reduce((sum, status) => sum + FRIENDLINESS_POINTS[status], 0) / ratings.length;
+  const score = Math.max(0, Math.min(100, Math.round(average - deterrents * DETERRENT_POINTS)));
+  const { label } = FRIENDLINESS_BANDS.find((b) => score >= b.min);
+  return { score, label, counts, deterrents };
+}
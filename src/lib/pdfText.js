@@ -0,0 +1,32 @@
+import { getDocumentProxy } from "unpdf";
+
+/* ─── PDF TEXT EXTRACTION ─── */
+
+// Rebuilds lines from positioned text runs and leaves a blank line where the
+// vertical gap is wider than normal line spacing, so paragraphs and numbered
+// clauses stay separate. Scanned PDFs have no text layer and return "".
+export async function pdfToText(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const pages = [];
+
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n);
+    const { items } = await page.getTextContent();
+
+    let text = "";
+    let lastY = null;
+    for (const item of items) {
+      if (!("str" in item)) continue;
+      const y = item.transform[5];
+      if (lastY !== null && Math.abs(lastY - y) > 1 && !text.endsWith("\n")) text += "\n";
+      if (lastY !== null && lastY - y > (item.height || 12) * 1.8) text += "\n";
+      text += item.str;
+      if (item.hasEOL) text += "\n";
+      lastY = y;
+    }
+    pages.push(text);
+  }
+
+  await pdf.destroy();
+  return pages.join("\n\n");
+}
@@ -0,0 +1,177 @@
+/* ─── PII REDACTION ─── */
+
+// Privacy mode replaces personal identifiers in the lease text with
+// placeholders before anything is sent, and puts the real values back in what
+// comes back. A redaction is { items: [{ kind, value, placeholder }] } and
+// lives with the lease, so it never leaves the browser.
+
+export const PII_KINDS = {
+  name: "Name",
+  address: "Address",
+  ssn: "SSN",
+  ein: "EIN",
+  account: "Account number",
+  routing: "Routing number",
+  email: "Email",
+  phone: "Phone",
+  custom: "Custom",
+};
+
+// Within one line: a value that runs onto the next is two fields run together.
+const NAME = String.raw`[A-Z][a-zA-Z'\-]+(?:[ \t]+[A-Z]\.?)?(?:[ \t]+[A-Z][a-zA-Z'\-]+){1,2}`;
+const STREET = String.raw`\d{1,6}[ \t]+(?:[NSEW]\.?[ \t]+)?(?:[A-Z0-9][\w.']*[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Circle|Cir|Terrace|Ter|Highway|Hwy|Trail|Trl)\b\.?`;
+
+// Each pattern's first capture group (or the whole match) is the value.
+// Values never contain line breaks, quotes or backslashes, so restoring them
+// into a JSON response keeps it valid.
+const PATTERNS = [
+  { kind: "ssn", re: /\b(\d{3}-\d{2}-\d{4})\b/g },
+  { kind: "ssn", re: /\b(?:SSN|Social Security(?: No\.?| Number)?)\s*[:#]?\s*(\d{9})\b/gi },
+  { kind: "ein", re: /\b(\d{2}-\d{7})\b/g },
+  { kind: "routing", re: /\b(?:routing|ABA)(?: number| no\.?| #)?\s*[:#]?\s*(\d{9})\b/gi },
+  { kind: "account", re: /\b(?:account|acct\.?|A\/C)(?: number| no\.?| #)?\s*[:#]?\s*([\dXx*-]{6,20}\d)\b/gi },
+  { kind: "email", re: /\b([\w.+-]+@[\w-]+(?:\.[\w-]+)+)\b/g },
+  { kind: "phone", re: /(?<![\d-])(\(?\d{3}\)?[\s.-]?\d{3}[.-]\d{4})\b/g },
+  {
+    kind: "address",
+    re: new RegExp(String.raw`\b(${STREET}(?:,?[ \t]+(?:Apt|Unit|Suite|Ste|#)\.?[ \t]*[\w-]+)?(?:,[ \t]*[A-Z][a-zA-Z]+(?:[ \t]+[A-Z][a-zA-Z]+)*,?[ \t]+[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?)?)`, "g"),
+  },
+  // Signature lines: "Name: Jane Q. Doe", "Guarantor: ...", "Print Name ...",
+  // each at the start of its line so prose like "approved by: ..." is left alone.
+  {
+    kind: "name",
+    re: new RegExp(String.raw`^[ \t]*(?:Tenant|Guarantor|Print(?:ed)? Name|Name|Signed by|By)[ \t]*(?:Name)?[ \t]*:[ \t]*_*[ \t]*(${NAME})`, "gm"),
+  },
+  // 'Jane Doe ("Tenant")', 'Jane Doe, an individual ("Guarantor")'
+  {
+    kind: "name",
+    re: new RegExp(String.raw`\b(${NAME}),?\s+(?:an individual\s+)?\(\s*(?:the\s+)?["\u201c]?(?:Tenant|Guarantor)`, "g"),
+  },
+];
+
+// Words that are not names even when a pattern captures them, including the
+// titles signature blocks put where a name would go ("By: Authorized Signatory").
+const NOT_NAMES = /^(?:Landlord|Tenant|Guarantor|Lease|Premises|Section|Article|The|This|Salon|Suite|LLC|Inc|Authorized|Signatory|Signature|Managing|Member|Manager|Owner|President|Officer|Agent|Witness|Notary|Title|Date)\b/;
+
+// The leased premises' address is not personal, and the analysis needs it:
+// an address next to one of these words (on the same line) is left in.
+const PREMISES = /premises|located at|building|shopping cent|property/i;
+const PREMISES_WINDOW = 100;
+
+function isPremises(text, at, value) {
+  const lineStart = text.lastIndexOf("\n", at) + 1;
+  const lineEnd = text.indexOf("\n", at + value.length);
+  const before = text.slice(Math.max(lineStart, at - PREMISES_WINDOW), at);
+  const after = text.slice(at + value.length, Math.min(lineEnd === -1 ? text.length : lineEnd, at + value.length + PREMISES_WINDOW / 2));
+  return PREMISES.test(before) || PREMISES.test(after);
+}
+
+const placeholderOf = (kind, n) => `[${kind.toUpperCase()}_${n}]`;
+
+// Numbers the placeholders per kind in order of first appearance.
+function withPlaceholders(items) {
+  const counts = {};
+  return items.map(({ kind, value }) => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    return { kind, value, placeholder: placeholderOf(kind, counts[kind]) };
+  });
+}
+
+// Finds the identifiers in `text`, each distinct value once, in the order they
+// first appear. Detection is pattern-based, so the user reviews the list and
+// can add what it misses (see addRedaction). Names come only from signature
+// and party lines, and the premises' address is never included.
+export function findPii(text) {
+  const found = [];
+  const premises = new Set();
+  for (const { kind, re } of PATTERNS) {
+    for (const m of text.matchAll(re)) {
+      const value = (m[1] ?? m[0]).trim();
+      if (/[\n"\\]/.test(value)) continue;
+      if (kind === "name" && NOT_NAMES.test(value)) continue;
+      const at = m.index + m[0].indexOf(value);
+      if (kind === "address" && isPremises(text, at, value)) premises.add(value);
+      found.push({ kind, value, at });
+    }
+  }
+  found.sort((a, b) => a.at - b.at);
+
+  const seen = new Set(premises);
+  return found.filter(({ value }) => {
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  }).map(({ kind, value }) => ({ kind, value }));
+}
+
+export function buildRedaction(text) {
+  return { items: withPlaceholders(findPii(text)) };
+}
+
+// The redaction without `value`, or with a custom value added. Placeholders
+// are renumbered so they stay in sequence.
+export function removeRedaction(redaction, value) {
+  return { items: withPlaceholders(redaction.items.filter((i) => i.value !== value)) };
+}
+
+export function addRedaction(redaction, value, kind = "custom") {
+  const v = value.trim().replace(/["\\\n]/g, "");
+  if (!v || redaction.items.some((i) => i.value === v)) return redaction;
+  return { items: withPlaceholders([...redaction.items, { kind, value: v }]) };
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longer values first, so "Jane Doe" is replaced before a custom "Jane".
+function replacer(pairs) {
+  if (!pairs.length) return (text) => text;
+  const sorted = [...pairs].sort((a, b) => b[0].length - a[0].length);
+  const lookup = new Map(sorted);
+  const re = new RegExp(sorted.map(([from]) => escapeRe(from)).join("|"), "g");
+  return (text) => text.replace(re, (m) => lookup.get(m));
+}
+
+export function redactText(text, redaction) {
+  if (!redaction?.items.length || typeof text !== "string") return text;
+  return replacer(redaction.items.map((i) => [i.value, i.placeholder]))(text);
+}
+
+export function restoreText(text, redaction) {
+  if (!redaction?.items.length || typeof text !== "string") return text;
+  return replacer(redaction.items.map((i) => [i.placeholder, i.value]))(text);
+}
+
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+// Request fields that carry lease content, redacted throughout. Control fields
+// (operation, mode, profile, tone…) are left alone, and of a corrective pass
+// only the previous response is: its validation errors must reach the server
+// as written.
+const CONTENT_FIELDS = ["parts", "question", "history", "report", "items", "changes", "points"];
+
+// A request body with the lease content in it redacted.
+export function redactRequest(body, redaction) {
+  if (!redaction?.items.length) return body;
+  const redact = (s) => redactText(s, redaction);
+  const out = { ...body };
+  for (const field of CONTENT_FIELDS) {
+    if (field in out) out[field] = mapStrings(out[field], redact);
+  }
+  if (typeof out.document?.text === "string") out.document = { ...out.document, text: redact(out.document.text) };
+  if (typeof out.part?.sections === "string") out.part = { ...out.part, sections: redact(out.part.sections) };
+  if (typeof out.repair?.previous === "string") out.repair = { ...out.repair, previous: redact(out.repair.previous) };
+  return out;
+}
+
+// Two leases' redactions as one, e.g. an original and its revised draft.
+export function mergeRedactions(a, b) {
+  if (!a || !b) return a || b || null;
+  return { items: withPlaceholders([...a.items, ...b.items.filter((i) => !a.items.some((j) => j.value === i.value))]) };
+}
@@ -0,0 +1,366 @@
+import { splitEmail } from "./emailDraft.js";
+import { formatPercentile } from "./marketBenchmark.js";
+import { RED_FLAG_ISSUES, reportLabels, tenantFriendliness } from "./operatorMode.js";
+import { describeProfile } from "./tenantProfile.js";
+
+/* ─── PDF REPORT ─── */
+
+// US Letter, in points.
+const PAGE = { width: 612, height: 792, margin: 54 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const TOP = PAGE.margin + 36; // below the page header
+const BOTTOM = PAGE.height - PAGE.margin - 24; // above the page footer
+
+const BRAND = [155, 27, 27];
+const COLORS = {
+  heading: [24, 24, 27],
+  body: [63, 63, 70],
+  muted: [113, 113, 122],
+  faint: [161, 161, 170],
+  rule: [228, 228, 231],
+  red: [220, 38, 38],
+  amber: [217, 119, 6],
+  green: [5, 150, 105],
+  purple: [124, 58, 237],
+};
+const GRADE_COLORS = { A: COLORS.green, B: COLORS.green, C: COLORS.amber, D: [234, 88, 12], F: COLORS.red };
+const GRADE_LABELS = { A: "Strong", B: "Good", C: "Fair", D: "Risky", F: "Dangerous" };
+
+// The built-in PDF fonts only cover WinAnsi; anything outside it is swapped
+// for a close ASCII stand-in so it doesn't print as garbage.
+function clean(text) {
+  return String(text ?? "")
+    .replace(/[\u2010-\u2012]/g, "-")
+    .replace(/\u2264/g, "<=")
+    .replace(/\u2265/g, ">=")
+    .replace(/\u2192/g, "->")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[^\t\n\r\x20-\x7e\u00a0-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2020\u2022\u2026\u20ac\u2122]/g, "");
+}
+
+const present = (v) => v && v !== "Not found";
+
+// A tiny layout engine on top of jsPDF: a cursor that wraps text and starts a
+// new page whenever the next block would run into the footer.
+function createWriter(doc) {
+  let y = TOP;
+
+  const lineHeight = (size) => size * 1.4;
+
+  const lines = (text, { size = 10, width = CONTENT_WIDTH } = {}) => {
+    doc.setFontSize(size);
+    return doc.splitTextToSize(clean(text), width);
+  };
+
+  const ensure = (height) => {
+    if (y + height > BOTTOM && y > TOP) {
+      doc.addPage();
+      y = TOP;
+    }
+  };
+
+  const text = (value, { size = 10, style = "normal", color = COLORS.body, indent = 0, gap = 0 } = {}) => {
+    doc.setFont("helvetica", style);
+    const wrapped = lines(value, { size, width: CONTENT_WIDTH - indent });
+    doc.setTextColor(...color);
+    for (const line of wrapped) {
+      ensure(lineHeight(size));
+      doc.text(line, PAGE.margin + indent, y + size);
+      y += lineHeight(size);
+    }
+    y += gap;
+  };
+
+  const height = (value, { size = 10, indent = 0 } = {}) =>
+    lines(value, { size, width: CONTENT_WIDTH - indent }).length * lineHeight(size);
+
+  const rule = (gap = 10) => {
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.75);
+    doc.line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+    y += gap;
+  };
+
+  const heading = (title, color, count) => {
+    // Keep a heading on the same page as the start of its first entry.
+    ensure(60);
+    y += 10;
+    doc.setFillColor(...color);
+    doc.rect(PAGE.margin, y + 2, 3, 12, "F");
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(...COLORS.heading);
+    const label = clean(title.toUpperCase());
+    doc.text(label, PAGE.margin + 10, y + 12);
+    if (count != null) {
+      doc.setFont("helvetica", "normal");
+      doc.setTextColor(...COLORS.faint);
+      doc.text(String(count), PAGE.margin + 16 + doc.getTextWidth(label), y + 12);
+    }
+    y += 22;
+    rule(8);
+  };
+
+  return {
+    doc,
+    text,
+    height,
+    ensure,
+    rule,
+    heading,
+    space: (gap) => { y += gap; },
+    get y() { return y; },
+  };
+}
+
+function drawPageChrome(doc, { fileName, date }) {
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+
+    // Header: logo mark and wordmark.
+    doc.setFillColor(...BRAND);
+    doc.roundedRect(PAGE.margin, PAGE.margin - 6, 18, 18, 2, 2, "F");
+    doc.setFillColor(255, 255, 255);
+    doc.triangle(PAGE.margin + 11.5, PAGE.margin - 3, PAGE.margin + 4.6, PAGE.margin + 9, PAGE.margin + 6.9, PAGE.margin + 9, "F");
+    doc.triangle(PAGE.margin + 11.5, PAGE.margin - 3, PAGE.margin + 13.8, PAGE.margin - 3, PAGE.margin + 6.9, PAGE.margin + 9, "F");
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(11);
+    doc.setTextColor(...COLORS.heading);
+    doc.text("Red-Line", PAGE.margin + 25, PAGE.margin + 3);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.faint);
+    doc.text("BY THE SALON SUITE MODEL", PAGE.margin + 25, PAGE.margin + 11);
+    doc.setFontSize(8);
+    doc.text(clean(date), PAGE.width - PAGE.margin, PAGE.margin + 3, { align: "right" });
+
+    // Footer: file name and page number.
+    const footerY = PAGE.height - PAGE.margin + 6;
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.75);
+    doc.line(PAGE.margin, footerY - 12, PAGE.width - PAGE.margin, footerY - 12);
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.faint);
+    const name = doc.splitTextToSize(clean(fileName), CONTENT_WIDTH - 80)[0];
+    doc.text(name, PAGE.margin, footerY);
+    doc.text(`Page ${i} of ${pages}`, PAGE.width - PAGE.margin, footerY, { align: "right" });
+  }
+}
+
+function writeFlags(w, items, { color, fixLabel }) {
+  items.forEach((item, i) => {
+    const meta = [
+      item.severity?.toUpperCase(),
+      RED_FLAG_ISSUES[item.issue]?.toUpperCase(),
+      item.section && `§${item.section}`,
+      item.market && (item.sample ? "EXAMPLE MARKET DATA" : "MARKET DATA"),
+      item.unverified && "UNVERIFIED",
+    ].filter(Boolean).join("  ·  ");
+    const note = item.fix || item.ask;
+    const block = w.height(item.title, { size: 10.5 }) + (meta ? 14 : 0)
+      + w.height(item.detail, { size: 9.5 }) + (note ? w.height(note, { size: 9.5, indent: 12 }) + 4 : 0);
+
+    // Entries are short, so move a whole entry to the next page rather than
+    // splitting it.
+    w.ensure(block);
+    w.text(item.title, { size: 10.5, style: "bold", color: COLORS.heading });
+    if (meta) w.text(meta, { size: 8, style: "bold", color: item.severity === "high" ? COLORS.red : color, gap: 2 });
+    w.text(item.detail, { size: 9.5 });
+    if (note) {
+      w.space(4);
+      w.text(`${fixLabel}: ${note}`, { size: 9.5, color, indent: 12 });
+    }
+    if (i < items.length - 1) {
+      w.space(6);
+      w.rule(8);
+    }
+  });
+}
+
+function writeTerms(w, rows) {
+  for (const [label, value] of rows.filter(([, v]) => present(v))) {
+    w.ensure(28);
+    w.text(label, { size: 8, style: "bold", color: COLORS.faint });
+    w.text(value, { size: 10, color: COLORS.heading, gap: 6 });
+  }
+}
+
+const usd = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+
+// "$1,408/month · 92nd percentile (median $1,078/month) · out of market"
+function benchmarkLine(item) {
+  if (item.value == null) return null;
+  const format = {
+    rent: (n) => `${usd(n)}/month`,
+    deposit: (n) => `${Math.round(n * 10) / 10} months' rent`,
+    escalation: (n) => `${Math.round(n * 10) / 10}% a year`,
+  }[item.key] || ((n) => (item.oneTime ? usd(n) : `${usd(n)}/month`));
+  return [
+    format(item.value),
+    item.percentile != null
+      ? `${formatPercentile(item.percentile)} (median ${format(item.median)})`
+      : item.known != null && `${item.charging} of ${item.known} suites charge one`,
+    item.outlier && "out of market",
+  ].filter(Boolean).join(" · ");
+}
+
+// Builds the full report and returns it as a PDF Blob. `email` is the drafted
+// email, included when there is one. `unverified(kind, index)` tells whether an
+// item's quote wasn't found in the lease text; such items are marked, or left
+// out with `hideUnverified`, as on screen.
+export async function buildReportPdf(analysis, { fileName, date = new Date(), email, unverified = () => false, hideUnverified = false } = {}) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const w = createWriter(doc);
+  const d = analysis;
+  const labels = reportLabels(d);
+  const when = date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+  doc.setProperties({ title: `Red-Line report — ${fileName}`, creator: "Red-Line by The Salon Suite Model" });
+
+  // Title block.
+  w.text(labels.title, { size: 20, style: "bold", color: COLORS.heading, gap: 2 });
+  w.text(`${fileName}  ·  Analyzed ${when}`, { size: 9.5, color: COLORS.muted, gap: d.profile ? 2 : 14 });
+  if (d.profile) w.text(`Reviewed for: ${describeProfile(d.profile)}`, { size: 9.5, color: COLORS.muted, gap: 14 });
+
+  // Grade and summary.
+  const grade = d.grade?.[0] || "C";
+  const gradeColor = GRADE_COLORS[grade] || COLORS.amber;
+  const top = w.y;
+  doc.setDrawColor(...gradeColor);
+  doc.setLineWidth(1.5);
+  doc.roundedRect(PAGE.margin, top, 48, 48, 6, 6, "S");
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(24);
+  doc.setTextColor(...gradeColor);
+  doc.text(clean(d.grade || "?"), PAGE.margin + 24, top + 33, { align: "center" });
+  doc.setFontSize(11);
+  doc.setTextColor(...COLORS.heading);
+  doc.text("Contract Grade", PAGE.margin + 62, top + 12);
+  const labelX = PAGE.margin + 70 + doc.getTextWidth("Contract Grade");
+  doc.setFontSize(9);
+  doc.setTextColor(...gradeColor);
+  doc.text(GRADE_LABELS[grade] || "", labelX, top + 12);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9.5);
+  doc.setTextColor(...COLORS.body);
+  const summary = doc.splitTextToSize(clean(d.summary), CONTENT_WIDTH - 62);
+  summary.forEach((line, i) => doc.text(line, PAGE.margin + 62, top + 28 + i * 13.3));
+  w.space(Math.max(56, 24 + summary.length * 13.3));
+
+  // Operator audits only.
+  const friendliness = tenantFriendliness(d);
+  if (friendliness) {
+    const { score, label, counts } = friendliness;
+    w.text(`Tenant friendliness: ${score}/100 (${label})`, { size: 10, style: "bold", color: COLORS.heading, gap: 2 });
+    w.text(
+      `How the agreement reads to a stylist deciding whether to rent: ${counts.favorable} tenant areas favorable, ${counts.unfavorable} unfavorable.`,
+      { size: 9, color: COLORS.muted, gap: 10 },
+    );
+  }
+
+  if (d.priorities?.length) {
+    w.heading(labels.priorities, COLORS.amber);
+    d.priorities.forEach((p, i) => w.text(`${i + 1}.  ${p}`, { size: 10, color: COLORS.heading, gap: 4 }));
+  }
+
+  const [redFlags, attention, greenFlags] = ["red_flags", "attention", "green_flags"].map((kind) => (d[kind] || [])
+    .map((item, i) => (unverified(kind, i) ? { ...item, unverified: true } : item))
+    .filter((item) => !hideUnverified || !item.unverified));
+  const unverifiedCount = [redFlags, attention, greenFlags].flat().filter((item) => item.unverified).length;
+  if (unverifiedCount > 0) {
+    w.space(8);
+    w.text(
+      `Items marked UNVERIFIED quote text that wasn't found in the lease. Check ${unverifiedCount === 1 ? "it" : "them"} against the lease before relying on ${unverifiedCount === 1 ? "it" : "them"}.`,
+      { size: 9, color: COLORS.muted },
+    );
+  }
+
+  if (redFlags.length) {
+    w.heading("Red Flags", COLORS.red, redFlags.length);
+    writeFlags(w, redFlags, { color: COLORS.green, fixLabel: labels.fix });
+  }
+  if (attention.length) {
+    w.heading("Needs Clarification", COLORS.amber, attention.length);
+    writeFlags(w, attention, { color: COLORS.amber, fixLabel: labels.ask });
+  }
+  if (greenFlags.length) {
+    w.heading("Green Flags", COLORS.green, greenFlags.length);
+    writeFlags(w, greenFlags, { color: COLORS.green, fixLabel: "Note" });
+  }
+  if (d.missing?.length) {
+    w.heading(labels.missing, COLORS.purple, d.missing.length);
+    writeFlags(w, d.missing, { color: COLORS.purple, fixLabel: "Note" });
+  }
+
+  if (d.money) {
+    w.heading("Financials", COLORS.muted);
+    writeTerms(w, [["RENT", d.money.rent], ["DEPOSIT", d.money.deposit], ["ESCALATION", d.money.escalation]]);
+    const fees = (d.money.fees || []).filter((f) => f && f !== "None");
+    if (fees.length) {
+      w.text("EXTRA FEES", { size: 8, style: "bold", color: COLORS.faint });
+      fees.forEach((f) => w.text(`•  ${f}`, { size: 10, color: COLORS.red, indent: 4 }));
+    }
+  }
+
+  const benchmark = d.market?.benchmark;
+  if (benchmark) {
+    w.heading("Market Benchmark", COLORS.muted);
+    const against = `Against ${benchmark.count} comparable ${benchmark.bySize ? "same-size " : ""}suites in ${benchmark.metro}`;
+    const note = benchmark.example ? " (example data, not real local leases; not scored in the grade)" : "";
+    w.text(`${against}${note}`, {
+      size: 9,
+      color: COLORS.faint,
+      gap: 6,
+    });
+    writeTerms(w, [
+      ...benchmark.metrics.map((m) => [m.key.toUpperCase(), benchmarkLine(m)]),
+      ...benchmark.fees.map((f) => [f.name.toUpperCase(), benchmarkLine(f)]),
+    ]);
+  }
+
+  if (d.dates) {
+    w.heading("Key Terms", COLORS.muted);
+    writeTerms(w, [["TERM", d.dates.term], ["NOTICE", d.dates.notice], ["RENEWAL", d.dates.renewal]]);
+  }
+
+  if (email) {
+    const { subject, body } = splitEmail(email);
+    w.heading("Drafted Email", [37, 99, 235]);
+    if (subject) {
+      w.text(`Subject: ${subject}`, { size: 10, style: "bold" });
+      w.space(8);
+    }
+    for (const paragraph of body.split(/\n/)) {
+      if (paragraph.trim()) w.text(paragraph, { size: 10 });
+      else w.space(8);
+    }
+  }
+
+  w.space(20);
+  w.ensure(14);
+  w.text("For informational purposes only — consult a qualified attorney before signing.", {
+    size: 8,
+    color: COLORS.faint,
+  });
+
+  drawPageChrome(doc, { fileName, date: when });
+  return doc.output("blob");
+}
+
+// "lease.pdf" -> "lease-redline-report.pdf"
+export function reportFileName(fileName) {
+  return `${fileName.replace(/\.[^.]+$/, "") || "lease"}-redline-report.pdf`;
+}
+
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
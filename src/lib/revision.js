@@ -0,0 +1,96 @@
+import { checkJson } from "./analysisSchema.js";
+import { analyzeLease, leaseDocument, runJsonOperation } from "./analyzeLease.js";
+import { COMPARABLES, EXAMPLE_DATA } from "./comparablesData.js";
+import { applyGrade } from "./grading.js";
+import { changesForPrompt, diffLeases } from "./leaseDiff.js";
+import { applyBenchmark } from "./marketBenchmark.js";
+import { mergeRedactions } from "./redaction.js";
+
+/* ─── REVISION REVIEW ─── */
+
+export const REVISION_STATUSES = ["resolved", "partial", "unchanged", "worsened"];
+
+const text = { type: "string" };
+const section = { type: "string", nullable: true };
+
+export const REVISION_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { ...text, label: "Summary" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { id: text, status: { type: "string", enum: REVISION_STATUSES }, note: text, section },
+        required: ["id", "status", "note"],
+      },
+      label: "Original issue review",
+    },
+    new_issues: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { title: text, severity: { type: "string", enum: ["high", "medium"] }, detail: text, section },
+        required: ["title", "severity", "detail"],
+      },
+      label: "New issues",
+    },
+  },
+  required: ["summary", "items", "new_issues"],
+};
+
+function normalize(data) {
+  data.items?.forEach?.((i) => {
+    if (typeof i?.status === "string") i.status = i.status.trim().toLowerCase();
+  });
+  data.new_issues?.forEach?.((i) => {
+    if (typeof i?.severity === "string") i.severity = i.severity.trim().toLowerCase();
+  });
+  return data;
+}
+
+const checkRevision = (raw) => checkJson(raw, REVISION_SCHEMA, normalize);
+
+const KINDS = [
+  ["red_flags", "r", "Red flag"],
+  ["attention", "a", "Needs clarification"],
+  ["missing", "m", "Missing clause"],
+];
+
+// Every red flag, clarification and missing clause of an analysis with a short
+// stable id ("r1", "a2", "m1") the model can refer back to.
+export function revisionItems(analysis) {
+  return KINDS.flatMap(([key, prefix, kind]) =>
+    (analysis[key] || []).map((item, i) => ({ ...item, id: `${prefix}${i + 1}`, key, kind })),
+  );
+}
+
+// Analyzes the revised draft (for the same tenant profile and market as the
+// original), diffs it clause by clause against the original and has the model
+// classify every original issue.
+// Resolves to { analysis, review, diff } where `diff` is null when either lease
+// has no text layer.
+export async function reviewRevision(original, revised, { signal, onProgress } = {}) {
+  const analyzed = await analyzeLease(revised, {
+    signal,
+    profile: original.analysis.profile ?? null,
+    onProgress: (p) => onProgress?.({ step: "analyze", ...p }),
+  });
+  const analysis = applyGrade(applyBenchmark(analyzed, original.analysis.market, COMPARABLES, { example: EXAMPLE_DATA }));
+
+  const diff = original.lease.text && revised.text ? diffLeases(original.lease.text, revised.text) : null;
+  const items = revisionItems(original.analysis);
+
+  onProgress?.({ step: "review" });
+  const review = await runJsonOperation(
+    {
+      operation: "revision",
+      document: leaseDocument(revised),
+      items: items.map(({ id, kind, title, detail, section }) => ({ id, kind, title, detail, section })),
+      changes: diff ? changesForPrompt(diff) : [],
+    },
+    { schema: REVISION_SCHEMA, check: checkRevision, signal, redaction: mergeRedactions(original.lease?.redaction, revised.redaction) },
+  );
+
+  return { analysis, review, diff };
+}
@@ -0,0 +1,103 @@
+import { checkJson } from "./analysisSchema.js";
+import { leaseDocument, runJsonOperation } from "./analyzeLease.js";
+import { buildDocx } from "./docxWriter.js";
+
+/* ─── LEASE RIDER ─── */
+
+// Mirrors the JSON structure RIDER_PROMPT asks the model for.
+const RIDER_SCHEMA = {
+  type: "object",
+  properties: {
+    paragraphs: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          item: { type: "number" },
+          heading: { type: "string" },
+          section: { type: "string", nullable: true },
+          text: { type: "string" },
+        },
+        required: ["heading", "text"],
+      },
+      label: "Rider paragraphs",
+    },
+  },
+  required: ["paragraphs"],
+};
+
+export const RIDER_TITLE = "Rider to Lease";
+
+export const RIDER_INTRO = "This Rider is attached to and made a part of the Lease between Landlord and Tenant for the Premises. Capitalized terms not defined in this Rider have the meanings given in the Lease. If this Rider conflicts with the Lease, this Rider controls.";
+
+export const RIDER_DISCLAIMER = "Proposed language for negotiation, prepared from an automated lease review. Have an attorney review it before signing.";
+
+// The red flags and missing clauses a rider can address, as
+// [{ id, kind, title, detail, fix, section }].
+export function riderCandidates(analysis) {
+  return [
+    ...(analysis.red_flags || []).map((f, i) => ({
+      id: `red_flags:${i}`, kind: "red_flag", title: f.title, detail: f.detail, fix: f.fix, section: f.section ?? null,
+    })),
+    ...(analysis.missing || []).map((m, i) => ({
+      id: `missing:${i}`, kind: "missing", title: m.title, detail: m.detail, fix: null, section: null,
+    })),
+  ];
+}
+
+// "item" is the model's own 1-based pointer back to the issue; the count
+// has to match so every selected issue gets a paragraph.
+function checkRider(raw, count) {
+  const result = checkJson(raw, RIDER_SCHEMA, (data) => {
+    data.paragraphs?.forEach?.((p) => {
+      if (typeof p?.item === "string") p.item = parseInt(p.item, 10);
+    });
+    return data;
+  });
+  if (!result.errors.length && result.analysis.paragraphs.length !== count) {
+    result.errors.push({ path: "paragraphs", message: `expected ${count} paragraphs, one per issue, got ${result.analysis.paragraphs.length}` });
+  }
+  return result;
+}
+
+// Drafts one paragraph per issue in `items` (from riderCandidates). Resolves
+// to [{ id, heading, section, text }] in the order of `items`.
+export async function draftRider(lease, items, { signal } = {}) {
+  const result = await runJsonOperation(
+    {
+      operation: "rider",
+      document: leaseDocument(lease),
+      items: items.map(({ kind, title, detail, fix, section }) => ({ kind, title, detail, fix, section })),
+    },
+    { schema: RIDER_SCHEMA, check: (raw) => checkRider(raw, items.length), signal, redaction: lease.redaction },
+  );
+  return result.paragraphs.map((p, i) => {
+    const item = items[(p.item ?? i + 1) - 1] || items[i];
+    return { id: item?.id ?? `p${i}`, heading: p.heading, section: p.section ?? item?.section ?? null, text: p.text };
+  });
+}
+
+const caption = (p, i) => `${i + 1}. ${p.heading}${p.section ? ` (Section ${p.section})` : ""}.`;
+
+// The rider as plain text: title, introduction, numbered paragraphs.
+export function riderText({ title, intro, paragraphs }) {
+  return [
+    title.toUpperCase(),
+    intro,
+    ...paragraphs.map((p, i) => `${caption(p, i)} ${p.text}`),
+    RIDER_DISCLAIMER,
+  ].filter(Boolean).join("\n\n");
+}
+
+export function riderDocx({ title, intro, paragraphs }) {
+  return buildDocx([
+    { style: "Title", runs: [{ text: title }] },
+    ...(intro ? [{ runs: [{ text: intro }] }] : []),
+    ...paragraphs.map((p, i) => ({ runs: [{ text: `${caption(p, i)} `, bold: true }, { text: p.text }] })),
+    { style: "Note", runs: [{ text: RIDER_DISCLAIMER }] },
+  ]);
+}
+
+export function riderFileName(fileName, ext) {
+  return `${(fileName || "").replace(/\.[^.]+$/, "") || "lease"}-rider.${ext}`;
+}
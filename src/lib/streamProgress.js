@@ -0,0 +1,39 @@
+/* ─── STREAM PROGRESS ─── */
+
+// Top-level keys of the analysis JSON, in the order the prompt asks for.
+export const REPORT_SECTIONS = [
+  { key: "summary", label: "Summary" },
+  { key: "green_flags", label: "Green flags", counted: true },
+  { key: "red_flags", label: "Red flags", counted: true },
+  { key: "attention", label: "Clarifications", counted: true },
+  { key: "missing", label: "Missing clauses", counted: true },
+  { key: "money", label: "Financials" },
+  { key: "costs", label: "Costs" },
+  { key: "dates", label: "Key terms" },
+  { key: "key_dates", label: "Key dates" },
+  { key: "coverage", label: "Coverage" },
+  { key: "priorities", label: "Priorities" },
+];
+
+// Inspects the partial JSON received so far and reports which report sections
+// have started and how many items the list sections hold.
+export function streamProgress(text) {
+  const found = REPORT_SECTIONS
+    .map((s) => ({ ...s, start: text.search(new RegExp(`"${s.key}"\\s*:`)) }))
+    .filter((s) => s.start !== -1)
+    .sort((a, b) => a.start - b.start);
+
+  const sections = {};
+  found.forEach((s, i) => {
+    const body = text.slice(s.start, found[i + 1]?.start ?? text.length);
+    sections[s.key] = s.counted ? (body.match(/"title"\s*:/g) || []).length : null;
+  });
+
+  return {
+    bytes: new TextEncoder().encode(text).length,
+    // ~4 characters per token is close enough for a progress readout.
+    tokens: Math.round(text.length / 4),
+    sections,
+    current: found[found.length - 1]?.key || null,
+  };
+}
@@ -0,0 +1,110 @@
+import { CRITICAL_AREAS } from "./criticalAreas.js";
+
+/* ─── TENANT PROFILE ─── */
+
+// Who is signing the lease. A profile adds critical areas that only matter to
+// some tenants, picks the areas the grade weighs most heavily, and sets the
+// severity guidance in the analysis prompt. A report analyzed without one
+// (saved before profiles existed) uses CRITICAL_AREAS and the plain grade.
+//
+// A profile is { business, suites, booth_rentals, guarantee }.
+export const BUSINESS_TYPES = [
+  { value: "solo", label: "Solo stylist", hint: "One suite, your own clients" },
+  { value: "salon", label: "Salon owner", hint: "A salon with staff or renters" },
+  { value: "multi_suite", label: "Suite operator", hint: "Leasing a building to re-let suites" },
+  { value: "franchisee", label: "Franchisee", hint: "Operating under a franchise brand" },
+];
+
+export const DEFAULT_PROFILE = { business: "solo", suites: 1, booth_rentals: 0, guarantee: true };
+
+export const MAX_SUITES = 200;
+export const MAX_BOOTH_RENTALS = 200;
+
+const EXTRA_AREAS = {
+  suite_subleasing: "Subleasing suites to independent operators & keeping the income",
+  operating_costs: "Building operating costs, insurance & code compliance passed through",
+  expansion: "Expansion, contraction & first refusal on more space",
+  renter_liability: "Insurance & liability for booth renters and their clients",
+  franchise_rider: "Franchisor rider: assignment to the franchisor, notice & cure rights",
+  brand_standards: "Approval of franchisor signage, remodels & brand standards",
+};
+
+// Returns a clean copy of `value`, or null if it is not a valid profile.
+export function normalizeProfile(value) {
+  if (!value || typeof value !== "object") return null;
+  const { business, suites, booth_rentals: booths, guarantee } = value;
+  if (!BUSINESS_TYPES.some((t) => t.value === business)) return null;
+  if (!Number.isInteger(suites) || suites < 1 || suites > MAX_SUITES) return null;
+  if (!Number.isInteger(booths) || booths < 0 || booths > MAX_BOOTH_RENTALS) return null;
+  if (typeof guarantee !== "boolean") return null;
+  return { business, suites, booth_rentals: booths, guarantee };
+}
+
+const multiSuite = (p) => p.business === "multi_suite" || p.suites > 1;
+
+// The critical areas the analysis rates for `profile`, as [{ id, label }].
+export function profileAreas(profile) {
+  if (!profile) return CRITICAL_AREAS;
+  const extra = [
+    multiSuite(profile) && "suite_subleasing",
+    profile.business === "multi_suite" && "operating_costs",
+    profile.business === "multi_suite" && "expansion",
+    profile.booth_rentals > 0 && "renter_liability",
+    profile.business === "franchisee" && "franchise_rider",
+    profile.business === "franchisee" && "brand_standards",
+  ].filter(Boolean);
+  return [...CRITICAL_AREAS, ...extra.map((id) => ({ id, label: EXTRA_AREAS[id] }))];
+}
+
+const FOCUS = {
+  solo: ["early_termination", "fees", "personal_guarantee"],
+  salon: ["buildout", "repairs", "exclusive_use"],
+  multi_suite: ["operating_costs", "repairs", "assignment"],
+  franchisee: ["franchise_rider", "assignment", "exclusive_use", "signage_hours"],
+};
+
+// Ids of the areas that weigh most for `profile`: the grade takes extra points
+// off when one of them is unfavorable or missing.
+export function profileFocus(profile) {
+  if (!profile) return [];
+  const ids = [
+    ...FOCUS[profile.business],
+    ...(multiSuite(profile) ? ["suite_subleasing"] : []),
+    ...(profile.booth_rentals > 0 ? ["subletting", "renter_liability"] : []),
+    ...(profile.guarantee ? [] : ["personal_guarantee"]),
+  ];
+  return [...new Set(ids)];
+}
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+// "Solo stylist · 1 suite · 2 booth rentals · No personal guarantee"
+export function describeProfile(profile) {
+  if (!profile) return "";
+  return [
+    BUSINESS_TYPES.find((t) => t.value === profile.business).label,
+    plural(profile.suites, "suite", "suites"),
+    profile.booth_rentals > 0 && plural(profile.booth_rentals, "booth rental", "booth rentals"),
+    profile.guarantee ? "Personal guarantee OK" : "No personal guarantee",
+  ].filter(Boolean).join(" · ");
+}
+
+// The profile is the same for every lease a user reviews, so the last one
+// used is remembered in this browser.
+const STORAGE_KEY = "redline:profile";
+
+export function loadProfile() {
+  try {
+    return normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY))) || DEFAULT_PROFILE;
+  } catch {
+    return DEFAULT_PROFILE;
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch {
+    // Private browsing or storage disabled: the profile just isn't remembered.
+  }
+}